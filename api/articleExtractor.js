@@ -0,0 +1,276 @@
+// Content-scoring article extractor in the spirit of Mozilla Readability. The page is
+// parsed into a lightweight element tree, paragraphs vote for their ancestors, and the
+// best-scoring container is read back in document order with boilerplate removed.
+
+const { decodeEntities } = require('./textDecoding');
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+// Elements that never contain article prose. <form> is not one of them: ASP.NET WebForms
+// pages and some CMSs wrap the whole body in a form, so only its controls are stripped.
+const STRIP_TAGS = new Set([
+  'script', 'style', 'noscript', 'iframe', 'svg', 'button', 'select', 'textarea', 'template',
+  'nav', 'footer', 'aside', 'figcaption', 'dialog', 'canvas', 'video', 'audio', 'object',
+]);
+
+const BLOCK_TAGS = new Set(['p', 'li', 'h2', 'h3', 'h4', 'blockquote', 'pre']);
+const HEADING_TAGS = new Set(['h2', 'h3', 'h4']);
+
+const NEGATIVE_HINTS = /(^|[\s_-])(ad|ads|advert|banner|breadcrumb|byline-social|caption|comment|consent|cookie|cta|disclaimer|footer|gdpr|hidden|masthead|menu|modal|more-stories|most-popular|newsletter|outbrain|overlay|paywall|popup|promo|recirc|recommend|related|share|sharing|sidebar|signup|skip|social|sponsor|subscribe|taboola|tags|teaser|toolbar|trending|widget)([\s_-]|$)/i;
+const POSITIVE_HINTS = /(^|[\s_-])(article|body|content|entry|main|post|story|text|prose)([\s_-]|$)/i;
+
+function normaliseWhitespace(value) {
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+function readAttribute(attrs, name) {
+  const match = attrs.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3] ?? '') : '';
+}
+
+function createNode(tag, attrs, parent) {
+  return {
+    tag,
+    hints: `${readAttribute(attrs, 'class')} ${readAttribute(attrs, 'id')} ${readAttribute(attrs, 'role')}`.trim(),
+    hidden: /\shidden(\s|=|$)/i.test(attrs) || /aria-hidden\s*=\s*["']?true/i.test(attrs)
+      || /display\s*:\s*none/i.test(readAttribute(attrs, 'style')),
+    parent,
+    children: [],
+  };
+}
+
+// Tolerant HTML tree builder: unknown closing tags are ignored and unclosed
+// elements are closed when an ancestor closes.
+function parseHtml(html) {
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|svg)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, ' ');
+
+  const root = createNode('#root', '', null);
+  const stack = [root];
+  const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (text) => {
+    if (!text || !/\S/.test(text)) return;
+    stack[stack.length - 1].children.push({ tag: '#text', text });
+  };
+
+  while ((match = tagPattern.exec(cleaned)) !== null) {
+    pushText(cleaned.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const [, closing, rawTag, attrs] = match;
+    const tag = rawTag.toLowerCase();
+
+    if (closing) {
+      const index = stack.map((node) => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const node = createNode(tag, attrs, stack[stack.length - 1]);
+    stack[stack.length - 1].children.push(node);
+
+    if (tag === 'br') {
+      node.children.push({ tag: '#text', text: ' ' });
+    } else if (!VOID_TAGS.has(tag) && !attrs.trim().endsWith('/')) {
+      stack.push(node);
+    }
+  }
+
+  pushText(cleaned.slice(lastIndex));
+  return root;
+}
+
+function isElement(node) {
+  return node.tag !== '#text';
+}
+
+function isBoilerplate(node) {
+  if (STRIP_TAGS.has(node.tag) || node.hidden) return true;
+  // Never discard the document's main landmarks on class hints alone.
+  if (node.tag === 'article' || node.tag === 'main' || node.tag === 'body') return false;
+  return Boolean(node.hints) && NEGATIVE_HINTS.test(node.hints) && !POSITIVE_HINTS.test(node.hints);
+}
+
+function prune(node) {
+  node.children = node.children.filter((child) => !isElement(child) || !isBoilerplate(child));
+  node.children.forEach((child) => {
+    if (isElement(child)) prune(child);
+  });
+  return node;
+}
+
+function collectText(node) {
+  if (!isElement(node)) return node.text;
+  return node.children.map(collectText).join(node.tag === 'br' ? '' : ' ');
+}
+
+function collectLinkText(node) {
+  if (!isElement(node)) return '';
+  if (node.tag === 'a') return collectText(node);
+  return node.children.map(collectLinkText).join(' ');
+}
+
+function measure(node) {
+  if (!node.metrics) {
+    const text = normaliseWhitespace(decodeEntities(collectText(node)));
+    const linkText = normaliseWhitespace(decodeEntities(collectLinkText(node)));
+    node.metrics = {
+      text,
+      length: text.length,
+      linkDensity: text.length ? Math.min(1, linkText.length / text.length) : 0,
+    };
+  }
+  return node.metrics;
+}
+
+function classWeight(node) {
+  let weight = 0;
+  if (!node.hints) return weight;
+  if (NEGATIVE_HINTS.test(node.hints)) weight -= 25;
+  if (POSITIVE_HINTS.test(node.hints)) weight += 25;
+  return weight;
+}
+
+function findBlocks(node, out = []) {
+  node.children.forEach((child) => {
+    if (!isElement(child)) return;
+    if (BLOCK_TAGS.has(child.tag)) {
+      out.push(child);
+      // Nested lists inside list items are read as part of the outer item.
+      if (child.tag !== 'li') findBlocks(child, out);
+      return;
+    }
+    findBlocks(child, out);
+  });
+  return out;
+}
+
+function scoreCandidates(root) {
+  const scores = new Map();
+  const addScore = (node, value) => {
+    if (!node || node.tag === '#root') return;
+    if (!scores.has(node)) {
+      const base = { article: 10, main: 8, section: 3, div: 5, body: 0 }[node.tag] ?? 0;
+      scores.set(node, base + classWeight(node));
+    }
+    scores.set(node, scores.get(node) + value);
+  };
+
+  for (const block of findBlocks(root)) {
+    if (block.tag !== 'p' && block.tag !== 'pre' && block.tag !== 'blockquote') continue;
+    const { length, text } = measure(block);
+    if (length < 25) continue;
+
+    // Readability's heuristic: commas and length stand in for "real sentences".
+    const contentScore = 1 + (text.split(',').length - 1) + Math.min(3, Math.floor(length / 100));
+    addScore(block.parent, contentScore);
+    addScore(block.parent?.parent, contentScore / 2);
+    addScore(block.parent?.parent?.parent, contentScore / 3);
+  }
+
+  return [...scores.entries()]
+    .map(([node, score]) => ({ node, score: score * (1 - measure(node).linkDensity) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Walks up while the parent holds clearly more article text, so content split across
+// sibling wrappers is read as one article.
+function widenCandidate(candidate, scored) {
+  let node = candidate.node;
+  const scoreOf = new Map(scored.map((entry) => [entry.node, entry.score]));
+
+  while (node.parent && node.parent.tag !== '#root') {
+    const parentScore = scoreOf.get(node.parent) ?? 0;
+    if (parentScore < candidate.score * 0.9 || measure(node.parent).linkDensity > 0.35) break;
+    node = node.parent;
+  }
+  return node;
+}
+
+function renderBlock(block) {
+  const { text, length, linkDensity } = measure(block);
+  if (!length) return '';
+
+  if (HEADING_TAGS.has(block.tag)) {
+    return length <= 200 && linkDensity < 0.5 ? text : '';
+  }
+
+  if (block.tag === 'li') {
+    return length >= 20 && linkDensity < 0.5 ? `• ${text}` : '';
+  }
+
+  // Short or link-heavy paragraphs are usually teasers, credits or "read more" rows.
+  if (linkDensity > 0.5) return '';
+  if (length < 40 && !/[.!?"”]$/.test(text)) return '';
+  return text;
+}
+
+function scoreConfidence({ content, paragraphCount, topScore, runnerUpScore, linkDensity }) {
+  if (!content) return 0;
+
+  const lengthSignal = Math.min(1, content.length / 2500);
+  const paragraphSignal = Math.min(1, paragraphCount / 6);
+  const marginSignal = topScore > 0 ? Math.min(1, (topScore - runnerUpScore) / topScore + 0.4) : 0;
+  const linkSignal = 1 - Math.min(1, linkDensity * 2);
+
+  const confidence = 0.4 * lengthSignal + 0.25 * paragraphSignal + 0.2 * marginSignal + 0.15 * linkSignal;
+  return Math.round(confidence * 100) / 100;
+}
+
+function extractArticle(html) {
+  if (typeof html !== 'string' || !html) {
+    return { content: '', confidence: 0 };
+  }
+
+  const root = prune(parseHtml(html));
+  const scored = scoreCandidates(root);
+  if (!scored.length) {
+    return { content: '', confidence: 0 };
+  }
+
+  const container = widenCandidate(scored[0], scored);
+  const seen = new Set();
+  const parts = [];
+  let paragraphCount = 0;
+
+  for (const block of findBlocks(container)) {
+    const rendered = renderBlock(block);
+    const key = rendered.toLowerCase();
+    if (!rendered || seen.has(key)) continue;
+    seen.add(key);
+    parts.push(rendered);
+    if (block.tag === 'p') paragraphCount += 1;
+  }
+
+  const content = parts.join('\n\n');
+  const runnerUp = scored.find((entry) => entry.node !== container
+    && !isDescendant(entry.node, container) && !isDescendant(container, entry.node));
+
+  return {
+    content,
+    confidence: scoreConfidence({
+      content,
+      paragraphCount,
+      topScore: scored[0].score,
+      runnerUpScore: runnerUp ? runnerUp.score : 0,
+      linkDensity: measure(container).linkDensity,
+    }),
+  };
+}
+
+function isDescendant(node, ancestor) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  extractArticle,
+};
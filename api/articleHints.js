@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HINTS_FILE = path.join(__dirname, '..', 'config', 'article-hints.json');
+
+// The order alternates are tried in when a page yields no usable article.
+const FALLBACK_KINDS = ['amp', 'canonical', 'print'];
+
+let hintsCache = null;
+
+function getHintsFile() {
+  return process.env.ARTICLE_HINTS_FILE || DEFAULT_HINTS_FILE;
+}
+
+function normalizeRewrite(rewrite) {
+  if (!rewrite || typeof rewrite.pattern !== 'string' || typeof rewrite.replacement !== 'string') return null;
+  try {
+    return {
+      pattern: new RegExp(rewrite.pattern, 'i'),
+      replacement: rewrite.replacement,
+      via: FALLBACK_KINDS.includes(rewrite.via) ? rewrite.via : 'print',
+    };
+  } catch (error) {
+    console.warn(`Ignoring invalid article hint pattern ${rewrite.pattern}:`, error.message);
+    return null;
+  }
+}
+
+function normalizeHint(entry) {
+  if (!entry || typeof entry.domain !== 'string' || !entry.domain.trim()) return null;
+
+  const fallbacks = Array.isArray(entry.fallbacks)
+    ? entry.fallbacks.filter((kind) => FALLBACK_KINDS.includes(kind))
+    : FALLBACK_KINDS;
+
+  return {
+    domain: entry.domain.trim().toLowerCase().replace(/^\.+/, ''),
+    rewrite: normalizeRewrite(entry.rewrite),
+    fallbacks,
+  };
+}
+
+function loadHints() {
+  if (hintsCache) return hintsCache;
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getHintsFile(), 'utf8'));
+    hintsCache = (Array.isArray(parsed) ? parsed : []).map(normalizeHint).filter(Boolean);
+  } catch (error) {
+    console.warn('Unable to load article hints; using the default fallback order:', error.message);
+    hintsCache = [];
+  }
+
+  return hintsCache;
+}
+
+// Hints apply to the domain and all of its subdomains; the most specific entry wins.
+function getArticleHint(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  return loadHints()
+    .filter(({ domain }) => hostname === domain || hostname.endsWith(`.${domain}`))
+    .sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+}
+
+// The URL a hint says to fetch instead of the page itself, or '' when there is none.
+function rewriteArticleUrl(url, hint) {
+  if (!hint || !hint.rewrite || !hint.rewrite.pattern.test(url)) return '';
+  return url.replace(hint.rewrite.pattern, hint.rewrite.replacement);
+}
+
+module.exports = {
+  FALLBACK_KINDS,
+  getArticleHint,
+  rewriteArticleUrl,
+};
@@ -0,0 +1,83 @@
+const { loadArticle } = require('./articleStore');
+
+const ARTICLE_CHECK_CONCURRENCY = 4;
+const LENGTH_TTL_MS = 6 * 60 * 60 * 1000;
+// Failed downloads are retried sooner than successful results expire.
+const FAILURE_TTL_MS = 30 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 5000;
+
+// Article length per link, shared by every request: { length, expiresAt }.
+const lengthCache = new Map();
+const queuedLinks = [];
+const queuedSet = new Set();
+let activeChecks = 0;
+
+function getKnownArticleLength(link) {
+  const entry = lengthCache.get(link);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt <= Date.now()) {
+    lengthCache.delete(link);
+    return undefined;
+  }
+
+  return entry.length;
+}
+
+function rememberLength(link, length) {
+  const ttl = length > 0 ? LENGTH_TTL_MS : FAILURE_TTL_MS;
+  lengthCache.delete(link);
+  lengthCache.set(link, { length, expiresAt: Date.now() + ttl });
+
+  // Maps iterate in insertion order, so the first key is the oldest entry.
+  while (lengthCache.size > MAX_CACHE_ENTRIES) {
+    lengthCache.delete(lengthCache.keys().next().value);
+  }
+}
+
+async function checkArticle(link) {
+  let length = 0;
+  try {
+    // Goes through the article store, so the text is already saved when the user opens the story.
+    const { content } = await loadArticle(link);
+    length = typeof content === 'string' ? content.length : 0;
+  } catch (error) {
+    console.warn(`Skipping story due to article fetch failure (${link}):`, error.message);
+  }
+
+  rememberLength(link, length);
+}
+
+function pump() {
+  while (activeChecks < ARTICLE_CHECK_CONCURRENCY && queuedLinks.length) {
+    const link = queuedLinks.shift();
+    activeChecks += 1;
+
+    checkArticle(link).finally(() => {
+      activeChecks -= 1;
+      queuedSet.delete(link);
+      pump();
+    });
+  }
+}
+
+// Queues links whose length is not known yet; returns immediately.
+function enqueueArticleChecks(links) {
+  for (const link of links) {
+    if (!link || queuedSet.has(link) || getKnownArticleLength(link) !== undefined) continue;
+    queuedSet.add(link);
+    queuedLinks.push(link);
+  }
+
+  pump();
+}
+
+function getPendingCheckCount() {
+  return queuedSet.size;
+}
+
+module.exports = {
+  enqueueArticleChecks,
+  getKnownArticleLength,
+  getPendingCheckCount,
+};
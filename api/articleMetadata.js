@@ -0,0 +1,186 @@
+const { decodeEntities } = require('./textDecoding');
+
+const ARTICLE_TYPES = new Set([
+  'article', 'newsarticle', 'reportagenewsarticle', 'analysisnewsarticle', 'opinionnewsarticle',
+  'backgroundnewsarticle', 'reviewnewsarticle', 'blogposting', 'liveblogposting', 'socialmediaposting', 'report',
+]);
+
+function cleanText(value) {
+  if (typeof value !== 'string') return '';
+  return decodeEntities(value).replace(/\s+/g, ' ').trim();
+}
+
+function resolveUrl(value, baseUrl) {
+  const text = cleanText(value);
+  if (!text) return '';
+  try {
+    const resolved = new URL(text, baseUrl || undefined);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.toString() : '';
+  } catch {
+    return '';
+  }
+}
+
+function parseDate(value) {
+  const text = cleanText(value);
+  if (!text) return '';
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3] ?? '') : '';
+}
+
+// Collects <meta> tags keyed by lower-cased property/name/http-equiv; the first value wins.
+function collectMetaTags(html) {
+  const meta = new Map();
+  for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+    const key = (readAttribute(tag, 'property') || readAttribute(tag, 'name') || readAttribute(tag, 'itemprop')
+      || readAttribute(tag, 'http-equiv')).toLowerCase();
+    const content = readAttribute(tag, 'content');
+    if (key && content && !meta.has(key)) {
+      meta.set(key, content);
+    }
+  }
+  return meta;
+}
+
+function findLink(html, matches) {
+  for (const tag of html.match(/<link\b[^>]*>/gi) || []) {
+    if (matches(readAttribute(tag, 'rel').toLowerCase().split(/\s+/), tag)) {
+      return readAttribute(tag, 'href');
+    }
+  }
+  return '';
+}
+
+function findCanonicalLink(html) {
+  return findLink(html, (rels) => rels.includes('canonical'));
+}
+
+function flattenJsonLd(node, out = []) {
+  if (Array.isArray(node)) {
+    node.forEach((entry) => flattenJsonLd(entry, out));
+  } else if (node && typeof node === 'object') {
+    out.push(node);
+    if (node['@graph']) flattenJsonLd(node['@graph'], out);
+  }
+  return out;
+}
+
+function collectJsonLd(html) {
+  const nodes = [];
+  const pattern = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const raw = match[1]
+      .replace(/^\s*<!\[CDATA\[/, '')
+      .replace(/\]\]>\s*$/, '')
+      .trim();
+    try {
+      flattenJsonLd(JSON.parse(raw), nodes);
+    } catch {
+      // Publishers regularly ship malformed JSON-LD; skip the block.
+    }
+  }
+
+  return nodes;
+}
+
+function isArticleNode(node) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some((type) => typeof type === 'string' && ARTICLE_TYPES.has(type.toLowerCase()));
+}
+
+function readName(value) {
+  if (typeof value === 'string') return cleanText(value);
+  if (Array.isArray(value)) return value.map(readName).filter(Boolean).join(', ');
+  if (value && typeof value === 'object') return cleanText(value.name || '');
+  return '';
+}
+
+function readImage(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return readImage(value[0]);
+  if (value && typeof value === 'object') return value.url || value.contentUrl || value['@id'] || '';
+  return '';
+}
+
+function readEntityUrl(value) {
+  if (typeof value === 'string') return value;
+  if (value && typeof value === 'object') return value['@id'] || value.url || '';
+  return '';
+}
+
+// Bylines in meta tags are sometimes profile URLs rather than names.
+function metaByline(meta) {
+  const candidates = [meta.get('author'), meta.get('article:author'), meta.get('byl'), meta.get('parsely-author')];
+  for (const candidate of candidates) {
+    const text = cleanText(candidate).replace(/^by\s+/i, '');
+    if (text && !/^https?:\/\//i.test(text)) return text;
+  }
+  return '';
+}
+
+// The declared language as a BCP 47-ish tag ("es", "pt-BR"); og:locale uses underscores.
+function readLanguageTag(source, meta, ld) {
+  const htmlTag = (source.match(/<html\b[^>]*>/i) || [''])[0];
+  const candidates = [
+    readName(ld.inLanguage),
+    readAttribute(htmlTag, 'lang') || readAttribute(htmlTag, 'xml:lang'),
+    meta.get('content-language'),
+    meta.get('og:locale'),
+  ];
+  for (const candidate of candidates) {
+    const tag = cleanText(candidate).replace(/_/g, '-');
+    if (/^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i.test(tag)) return tag;
+  }
+  return '';
+}
+
+function extractArticleMetadata(html, pageUrl = '') {
+  const source = typeof html === 'string' ? html : '';
+  const meta = collectMetaTags(source);
+  const ld = collectJsonLd(source).find(isArticleNode) || {};
+  const twitterSite = cleanText(meta.get('twitter:site')).replace(/^@/, '');
+
+  return {
+    canonicalUrl: resolveUrl(findCanonicalLink(source), pageUrl)
+      || resolveUrl(meta.get('og:url'), pageUrl)
+      || resolveUrl(readEntityUrl(ld.mainEntityOfPage) || ld.url, pageUrl)
+      || pageUrl
+      || '',
+    headline: cleanText(ld.headline) || cleanText(meta.get('og:title')) || cleanText(meta.get('twitter:title')),
+    byline: readName(ld.author) || metaByline(meta),
+    publishedAt: parseDate(ld.datePublished) || parseDate(meta.get('article:published_time'))
+      || parseDate(meta.get('date')) || parseDate(meta.get('parsely-pub-date')),
+    modifiedAt: parseDate(ld.dateModified) || parseDate(meta.get('article:modified_time'))
+      || parseDate(meta.get('og:updated_time')),
+    section: readName(Array.isArray(ld.articleSection) ? ld.articleSection[0] : ld.articleSection)
+      || cleanText(meta.get('article:section')) || cleanText(meta.get('parsely-section')),
+    imageUrl: resolveUrl(readImage(ld.image), pageUrl)
+      || resolveUrl(meta.get('og:image:secure_url') || meta.get('og:image'), pageUrl)
+      || resolveUrl(meta.get('twitter:image') || meta.get('twitter:image:src'), pageUrl),
+    publisher: readName(ld.publisher) || cleanText(meta.get('og:site_name')) || twitterSite,
+    language: readLanguageTag(source, meta, ld),
+  };
+}
+
+// Other renderings of the same article a page advertises: its AMP version and a
+// print stylesheet alternate (<link rel="alternate" media="print">).
+function extractAlternateLinks(html, pageUrl = '') {
+  const source = typeof html === 'string' ? html : '';
+  return {
+    ampUrl: resolveUrl(findLink(source, (rels) => rels.includes('amphtml')), pageUrl),
+    printUrl: resolveUrl(findLink(source, (rels, tag) => rels.includes('alternate')
+      && /^print$/i.test(readAttribute(tag, 'media'))), pageUrl),
+  };
+}
+
+module.exports = {
+  extractAlternateLinks,
+  extractArticleMetadata,
+};
@@ -1,3 +1,9 @@
+const { extractArticle } = require('./articleExtractor');
+const { FALLBACK_KINDS, getArticleHint, rewriteArticleUrl } = require('./articleHints');
+const { extractAlternateLinks, extractArticleMetadata } = require('./articleMetadata');
+const { safeFetch } = require('./safeFetch');
+const { decodeEntities } = require('./textDecoding');
+
 const DEFAULT_HEADERS = {
         'User-Agent':
           'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
@@ -15,17 +21,6 @@ function normaliseWhitespace(value) {
   return value.replace(/\s+/g, ' ').trim();
 }
 
-function decodeEntities(text) {
-  return text
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number.parseInt(code, 10)))
-    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(Number.parseInt(hex, 16)));
-}
-
 function stripTags(html) {
   return html.replace(/<[^>]*>/g, ' ');
 }
@@ -90,18 +85,11 @@ function mergeParagraphs(paragraphs) {
   return ordered;
 }
 
-async function fetchArticleContent(url) {
-  if (!url || typeof url !== 'string') {
-    throw new Error('A valid article URL must be provided.');
-  }
+// Below this the extractor probably latched onto boilerplate; callers should not
+// hand the text to a language model.
+const MIN_ARTICLE_CONFIDENCE = 0.35;
 
-  const response = await fetch(url, { headers: DEFAULT_HEADERS });
-  if (!response.ok) {
-
-    throw new Error(`Failed to retrieve article (status ${response.status})`);
-  }
-
-  const html = await response.text();
+function extractWithLegacyBlocks(html) {
   const blocks = extractCandidateBlocks(html);
 
   for (const block of blocks) {
@@ -114,13 +102,163 @@ async function fetchArticleContent(url) {
 
   const fallbackParagraphs = mergeParagraphs(extractParagraphs(html));
   const fallback = fallbackParagraphs.join('\n\n');
-  if (fallback.length > 200) {
-    return fallback;
+  return fallback.length > 200 ? fallback : '';
+}
+
+const MAX_ARTICLE_BYTES = 3 * 1024 * 1024;
+const ARTICLE_TIMEOUT_MS = 15000;
+// Alternate renderings tried after the page itself; each one is a full download.
+const MAX_ALTERNATE_ATTEMPTS = 3;
+
+// Interstitials that stand in for the article when a site wants JavaScript or consent first.
+const GATE_MARKERS = /enable javascript|javascript is (?:disabled|required)|before you continue|cookie (?:preferences|settings|consent)|we value your privacy|are you a robot|verify you are human|captcha/i;
+
+function createArticleError(message, status) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  return err;
+}
+
+async function downloadPage(url, allowHost) {
+  const response = await safeFetch(url, {
+    headers: DEFAULT_HEADERS,
+    maxBytes: MAX_ARTICLE_BYTES,
+    timeoutMs: ARTICLE_TIMEOUT_MS,
+    allowHost,
+  });
+  if (!response.ok) {
+    throw createArticleError(`Failed to retrieve article (status ${response.status})`);
+  }
+  return { html: await response.text(), finalUrl: response.url || url };
+}
+
+function extractFromHtml(html) {
+  const extracted = extractArticle(html);
+  if (extracted.content.length > 200) {
+    return extracted;
+  }
+
+  // The scorer found no convincing container; the old paragraph sweep still beats nothing,
+  // but it gets a low confidence so it is not mistaken for a clean extraction.
+  const legacy = extractWithLegacyBlocks(html);
+  return legacy
+    ? { content: legacy, confidence: Math.min(extracted.confidence, 0.2) }
+    : { content: '', confidence: 0 };
+}
+
+function isUsable({ content, confidence }) {
+  if (content.length <= 200 || confidence < MIN_ARTICLE_CONFIDENCE) return false;
+  // A short "please enable JavaScript" or consent notice can still score as prose.
+  return content.length > 1500 || !GATE_MARKERS.test(content);
+}
+
+function listAlternates(html, pageUrl, metadata, hint) {
+  const { ampUrl, printUrl } = extractAlternateLinks(html, pageUrl);
+  const urls = { amp: ampUrl, canonical: metadata.canonicalUrl, print: printUrl };
+  const order = hint ? hint.fallbacks : FALLBACK_KINDS;
+  return order.map((via) => ({ via, url: urls[via] })).filter(({ url }) => url);
+}
+
+// Reads the article at `url`, falling back to the page's AMP version, its canonical URL
+// and its print view when the page itself is thin, script-gated or a consent wall.
+// Domains in config/article-hints.json can skip straight to a known-good rendering.
+// `allowHost(hostname)` optionally limits which sites may be fetched (see safeFetch).
+async function fetchArticle(url, { allowHost = null } = {}) {
+  if (!url || typeof url !== 'string') {
+    throw createArticleError('A valid article URL must be provided.', 400);
+  }
+
+  const hint = getArticleHint(url);
+  const tried = new Set();
+  const results = [];
+  let metadata = null;
+  let pageError = null;
+
+  const attempt = async (target, via) => {
+    tried.add(target);
+    const { html, finalUrl } = await downloadPage(target, allowHost);
+    tried.add(finalUrl);
+    const result = { ...extractFromHtml(html), via, html, finalUrl };
+    results.push(result);
+    return result;
+  };
+
+  const hinted = rewriteArticleUrl(url, hint);
+  if (hinted) {
+    try {
+      const result = await attempt(hinted, hint.rewrite.via);
+      if (isUsable(result)) {
+        return {
+          content: result.content,
+          confidence: result.confidence,
+          via: result.via,
+          metadata: extractArticleMetadata(result.html, url),
+          finalUrl: result.finalUrl,
+        };
+      }
+    } catch (error) {
+      console.warn(`Hinted article URL failed (${hinted}):`, error.message);
+    }
+  }
+
+  let alternates = [];
+  try {
+    const page = await attempt(url, 'page');
+    metadata = extractArticleMetadata(page.html, page.finalUrl);
+    if (isUsable(page)) {
+      return { content: page.content, confidence: page.confidence, via: page.via, metadata, finalUrl: page.finalUrl };
+    }
+    alternates = listAlternates(page.html, page.finalUrl, metadata, hint);
+  } catch (error) {
+    // Rejected URLs must not be retried under another name.
+    if (error.status >= 400 && error.status < 500) throw error;
+    pageError = error;
   }
 
-  throw new Error('Unable to extract article content from the provided URL.');
+  let attempts = 0;
+  for (const alternate of alternates) {
+    // An earlier download may already have redirected to this URL.
+    if (tried.has(alternate.url)) continue;
+    if (attempts++ >= MAX_ALTERNATE_ATTEMPTS) break;
+    try {
+      const result = await attempt(alternate.url, alternate.via);
+      if (isUsable(result)) {
+        return {
+          content: result.content,
+          confidence: result.confidence,
+          via: result.via,
+          metadata: metadata || extractArticleMetadata(result.html, url),
+          finalUrl: result.finalUrl,
+        };
+      }
+    } catch (error) {
+      console.warn(`Article fallback (${alternate.via}) failed for ${url}:`, error.message);
+    }
+  }
+
+  const best = results
+    .filter(({ content }) => content)
+    .sort((a, b) => b.confidence - a.confidence)[0];
+  if (best) {
+    return {
+      content: best.content,
+      confidence: best.confidence,
+      via: best.via,
+      metadata: metadata || extractArticleMetadata(best.html, url),
+      finalUrl: best.finalUrl,
+    };
+  }
+
+  throw pageError || createArticleError('Unable to extract article content from the provided URL.');
+}
+
+async function fetchArticleContent(url, options) {
+  const { content } = await fetchArticle(url, options);
+  return content;
 }
 
 module.exports = {
+  MIN_ARTICLE_CONFIDENCE,
+  fetchArticle,
   fetchArticleContent,
 };
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { fetchArticle } = require('./articleService');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data', 'articles');
+const DEFAULT_TTL_HOURS = 72;
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_MEMORY_ENTRIES = 500;
+const HASH_PATTERN = /^[0-9a-f]{32}$/;
+
+// Extracted articles keyed by the hash of their canonical URL. Records live on disk as
+// <hash>.json; any other URL that led to the same article gets aliases/<hash> holding
+// the canonical hash, so a later request for either URL is served without a download.
+const memoryCache = new Map();
+// Alias hash -> canonical hash, mirroring the aliases directory.
+const memoryAliases = new Map();
+const pendingLoads = new Map();
+
+function getStoreDir() {
+  return process.env.ARTICLE_STORE_DIR || DEFAULT_STORE_DIR;
+}
+
+function getTtlMs() {
+  const hours = Number(process.env.ARTICLE_STORE_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+// Fragments and tracking parameters never change the article, so they do not change the key.
+function normalizeArticleUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    [...parsed.searchParams.keys()]
+      .filter((key) => /^(utm_|fbclid$|gclid$|ocid$|cmpid$)/i.test(key))
+      .forEach((key) => parsed.searchParams.delete(key));
+    return parsed.toString();
+  } catch {
+    return String(url || '').trim();
+  }
+}
+
+// The registrable part of a hostname, near enough: the last two labels, or three under a
+// short second-level domain such as co.uk or com.au.
+function siteOf(url) {
+  try {
+    const labels = new URL(url).hostname.toLowerCase().split('.');
+    const count = labels.length > 2 && labels[labels.length - 1].length === 2 && labels[labels.length - 2].length <= 3 ? 3 : 2;
+    return labels.slice(-count).join('.');
+  } catch {
+    return '';
+  }
+}
+
+// Pages choose their own <link rel=canonical>, so one is only trusted when it stays on the
+// site the article was requested from or redirected to; otherwise any page could claim a
+// news site's URL and have its text served and sung as that article.
+function chooseCanonicalUrl(requestedUrl, finalUrl, canonicalUrl) {
+  if (!canonicalUrl) return requestedUrl;
+  const site = siteOf(canonicalUrl);
+  return site && (site === siteOf(requestedUrl) || site === siteOf(finalUrl)) ? canonicalUrl : requestedUrl;
+}
+
+function getRetentionMs() {
+  const days = Number(process.env.ARTICLE_STORE_RETENTION_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+function articleHash(url) {
+  return crypto.createHash('sha256').update(normalizeArticleUrl(url)).digest('hex').slice(0, 32);
+}
+
+function isValidHash(hash) {
+  return typeof hash === 'string' && HASH_PATTERN.test(hash);
+}
+
+// Maps iterate in insertion order, so the first key is the oldest entry.
+function setBounded(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+  while (map.size > MAX_MEMORY_ENTRIES) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+function remember(record) {
+  setBounded(memoryCache, record.hash, record);
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Unable to read stored article ${path.basename(file)}:`, error.message);
+    }
+    return null;
+  }
+}
+
+async function readRecord(hash) {
+  if (memoryCache.has(hash)) return memoryCache.get(hash);
+
+  const record = await readJson(path.join(getStoreDir(), `${hash}.json`));
+  if (!record || record.hash !== hash || typeof record.content !== 'string') return null;
+  remember(record);
+  return record;
+}
+
+async function resolveHash(url) {
+  const hash = articleHash(url);
+  if (memoryCache.has(hash)) return hash;
+  if (memoryAliases.has(hash)) return memoryAliases.get(hash);
+
+  const dir = getStoreDir();
+  try {
+    await fs.promises.access(path.join(dir, `${hash}.json`));
+    return hash;
+  } catch {
+    // Not stored under its own URL; it may be an alias of a canonical record.
+  }
+
+  try {
+    const target = (await fs.promises.readFile(path.join(dir, 'aliases', hash), 'utf8')).trim();
+    return isValidHash(target) ? target : null;
+  } catch {
+    return null;
+  }
+}
+
+// Disk writes are best effort: read-only deployments keep records in memory only.
+async function persist(record, aliases) {
+  const dir = getStoreDir();
+  try {
+    await fs.promises.mkdir(path.join(dir, 'aliases'), { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${record.hash}.json`), JSON.stringify(record), 'utf8');
+    await Promise.all(aliases.map((alias) => fs.promises.writeFile(path.join(dir, 'aliases', alias), record.hash, 'utf8')));
+  } catch (error) {
+    console.warn('Unable to persist article to the content store, keeping it in memory:', error.message);
+  }
+}
+
+function isExpired(record, now = Date.now()) {
+  return !record || !(record.expiresAt > now);
+}
+
+async function storeArticle(requestedUrl, { content, confidence, via, metadata, finalUrl }) {
+  const canonicalUrl = normalizeArticleUrl(chooseCanonicalUrl(requestedUrl, finalUrl, metadata?.canonicalUrl));
+  const now = Date.now();
+  const record = {
+    hash: articleHash(canonicalUrl),
+    url: canonicalUrl,
+    content,
+    confidence,
+    via: via || 'page',
+    metadata: metadata ? { ...metadata, canonicalUrl } : null,
+    storedAt: new Date(now).toISOString(),
+    expiresAt: now + getTtlMs(),
+  };
+
+  const aliases = [articleHash(requestedUrl)].filter((alias) => alias !== record.hash);
+  remember(record);
+  aliases.forEach((alias) => setBounded(memoryAliases, alias, record.hash));
+  await persist(record, aliases);
+  return record;
+}
+
+// Returns the stored record for a hash, fresh or not, or null. Callers decide whether
+// stale text is good enough (a saved spin would rather show old text than none).
+async function getArticleByHash(hash) {
+  if (!isValidHash(hash)) return null;
+  return readRecord(hash);
+}
+
+// Serves the article from the store while it is fresh, otherwise downloads and extracts
+// it once (concurrent callers share the download) and stores the result. Resolves to
+// { hash, url, content, confidence, via, metadata, storedAt, expiresAt }.
+async function loadArticle(url, options = {}) {
+  if (!url || typeof url !== 'string') {
+    return fetchArticle(url, options);
+  }
+
+  const knownHash = await resolveHash(url);
+  const cached = knownHash ? await readRecord(knownHash) : null;
+  if (!isExpired(cached)) {
+    return cached;
+  }
+
+  const key = normalizeArticleUrl(url);
+  if (pendingLoads.has(key)) {
+    return pendingLoads.get(key);
+  }
+
+  const promise = fetchArticle(url, options)
+    .then((article) => storeArticle(url, article))
+    .finally(() => pendingLoads.delete(key));
+  pendingLoads.set(key, promise);
+  return promise;
+}
+
+// Re-downloads an expired record from its canonical URL, serving the stale copy if that fails.
+async function refreshArticle(hash, options = {}) {
+  const record = await getArticleByHash(hash);
+  if (!record || !isExpired(record)) return record;
+
+  try {
+    return await loadArticle(record.url, options);
+  } catch (error) {
+    console.warn(`Serving stale stored article ${hash}:`, error.message);
+    return record;
+  }
+}
+
+// Deletes records that have not been refreshed within the retention window, and aliases
+// left pointing at them. Expired records are kept until then as stale fallbacks.
+async function pruneArticles() {
+  const dir = getStoreDir();
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn('Unable to read the article store:', error.message);
+    return 0;
+  }
+
+  const cutoff = Date.now() - getRetentionMs();
+  const removed = new Set();
+  for (const file of files.filter((name) => name.endsWith('.json'))) {
+    const record = await readJson(path.join(dir, file));
+    if (!record || !(record.expiresAt < cutoff)) continue;
+    await fs.promises.unlink(path.join(dir, file)).catch(() => {});
+    memoryCache.delete(record.hash);
+    removed.add(record.hash);
+  }
+
+  if (removed.size) {
+    const aliases = await fs.promises.readdir(path.join(dir, 'aliases')).catch(() => []);
+    for (const alias of aliases) {
+      const file = path.join(dir, 'aliases', alias);
+      const target = (await fs.promises.readFile(file, 'utf8').catch(() => '')).trim();
+      if (!removed.has(target)) continue;
+      await fs.promises.unlink(file).catch(() => {});
+      memoryAliases.delete(alias);
+    }
+  }
+  return removed.size;
+}
+
+module.exports = {
+  loadArticle,
+  pruneArticles,
+  refreshArticle,
+};
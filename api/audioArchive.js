@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const DEFAULT_ARCHIVE_DIR = path.join(__dirname, '..', 'data', 'audio');
+const ARCHIVE_PATH = '/api/audio';
+const ID_PATTERN = /^[0-9a-f]{32}$/;
+const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+const MAX_RECORDS_IN_MEMORY = 1000;
+
+// Finished clips are downloaded once and kept in a storage backend, so saved spins play
+// from /api/audio/<id> long after the provider's links change or expire. Each clip is
+// stored as <id>.audio with an <id>.json record beside it; the record is written last,
+// so a clip without one was never completely stored.
+const records = new Map();
+const pendingArchives = new Map();
+let backend = null;
+
+function createArchiveError(message, status) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  return err;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// Archive ids come from the clip id, so a clip has the same URL whoever archives it.
+function archiveId(key) {
+  return sha256(String(key)).slice(0, 32);
+}
+
+function isValidArchiveId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function archiveUrl(id) {
+  return `${ARCHIVE_PATH}/${id}`;
+}
+
+// Bytes start..end (inclusive) of a stream that begins at byte 0, for stores that answer
+// a Range request with the whole object.
+async function* byteRange(source, start, end) {
+  let offset = 0;
+  for await (const chunk of source) {
+    const from = Math.max(0, start - offset);
+    const to = Math.min(chunk.length, end + 1 - offset);
+    if (to > from) yield chunk.subarray(from, to);
+    offset += chunk.length;
+    if (offset > end) break;
+  }
+}
+
+function createLocalBackend(dir) {
+  const file = (name) => path.join(dir, name);
+  return {
+    name: 'local',
+    async readRecord(id) {
+      try {
+        return JSON.parse(await fs.promises.readFile(file(`${id}.json`), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`Unable to read archived audio ${id}:`, error.message);
+        return null;
+      }
+    },
+    async write(id, body, record) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file(`${id}.audio.tmp`), body);
+      await fs.promises.rename(file(`${id}.audio.tmp`), file(`${id}.audio`));
+      await fs.promises.writeFile(file(`${id}.json`), JSON.stringify(record));
+    },
+    async open(id, { start, end }) {
+      let handle;
+      try {
+        handle = await fs.promises.open(file(`${id}.audio`));
+      } catch (error) {
+        throw error.code === 'ENOENT' ? createArchiveError('Archived audio is missing from storage.', 404) : error;
+      }
+      return handle.createReadStream({ start, end });
+    },
+  };
+}
+
+// Any S3-compatible store (AWS, R2, MinIO, ...) addressed path-style, with requests signed
+// by AWS Signature Version 4.
+function createS3Backend({ endpoint, bucket, region, accessKeyId, secretAccessKey, prefix }) {
+  const base = endpoint.replace(/\/+$/, '');
+
+  // Statuses in `missing` mean the object does not exist and are returned, not thrown.
+  async function send(method, name, { body, headers = {}, missing = [404] } = {}) {
+    const key = `${prefix}${name}`.split('/').map(encodeURIComponent).join('/');
+    const url = new URL(`${base}/${encodeURIComponent(bucket)}/${key}`);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+    const signed = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    const names = Object.keys(signed).sort();
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      ...names.map((name) => `${name}:${signed[name].trim()}`),
+      '',
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // fetch sets Host itself from the URL.
+    const { host, ...requestHeaders } = signed;
+    const response = await fetch(url, {
+      method,
+      body,
+      headers: {
+        ...requestHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+    });
+    if (!response.ok && !missing.includes(response.status)) {
+      await response.body?.cancel();
+      throw createArchiveError(`Audio storage ${method} ${name} failed with status ${response.status}.`, 502);
+    }
+    return response;
+  }
+
+  return {
+    name: 's3',
+    async readRecord(id) {
+      // S3 answers 403 rather than 404 for a missing key when the credentials lack
+      // s3:ListBucket, which Put/Get-only policies usually do.
+      const response = await send('GET', `${id}.json`, { missing: [403, 404] });
+      if (!response.ok) {
+        await response.body?.cancel();
+        return null;
+      }
+      return response.json();
+    },
+    async write(id, body, record) {
+      await send('PUT', `${id}.audio`, { body, headers: { 'Content-Type': record.contentType } });
+      await send('PUT', `${id}.json`, { body: JSON.stringify(record), headers: { 'Content-Type': 'application/json' } });
+    },
+    async open(id, { start, end }) {
+      const response = await send('GET', `${id}.audio`, { headers: { Range: `bytes=${start}-${end}` } });
+      if (response.status === 404 || !response.body) throw createArchiveError('Archived audio is missing from storage.', 404);
+      const stream = Readable.fromWeb(response.body);
+      if (response.status === 206) return stream;
+      return Readable.from(byteRange(stream, start, end), { objectMode: false });
+    },
+  };
+}
+
+function getBackend() {
+  if (backend) return backend;
+  const kind = (process.env.AUDIO_ARCHIVE || 'local').toLowerCase();
+  if (kind === 's3') {
+    const config = {
+      endpoint: process.env.AUDIO_S3_ENDPOINT || `https://s3.${process.env.AUDIO_S3_REGION || 'us-east-1'}.amazonaws.com`,
+      bucket: process.env.AUDIO_S3_BUCKET || '',
+      region: process.env.AUDIO_S3_REGION || 'us-east-1',
+      accessKeyId: process.env.AUDIO_S3_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.AUDIO_S3_SECRET_ACCESS_KEY || '',
+      prefix: process.env.AUDIO_S3_PREFIX || '',
+    };
+    if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+      console.warn('AUDIO_ARCHIVE=s3 needs AUDIO_S3_BUCKET, AUDIO_S3_ACCESS_KEY_ID and AUDIO_S3_SECRET_ACCESS_KEY; archiving to local disk instead.');
+    } else {
+      backend = createS3Backend(config);
+      return backend;
+    }
+  }
+  backend = createLocalBackend(process.env.AUDIO_ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR);
+  return backend;
+}
+
+function isArchiveEnabled() {
+  return !/^(0|false|no|off)$/i.test(process.env.AUDIO_ARCHIVE || '');
+}
+
+function remember(record) {
+  records.delete(record.id);
+  records.set(record.id, record);
+  while (records.size > MAX_RECORDS_IN_MEMORY) {
+    records.delete(records.keys().next().value);
+  }
+}
+
+// The stored record for an archive id, or null: { id, key, url, sourceUrl, contentType,
+// size, etag, storedAt }.
+async function getArchivedAudio(id) {
+  if (!isValidArchiveId(id) || !isArchiveEnabled()) return null;
+  if (records.has(id)) return records.get(id);
+  const record = await getBackend().readRecord(id);
+  if (!record || record.id !== id) return null;
+  remember(record);
+  return record;
+}
+
+// A readable stream of bytes start..end (inclusive) of an archived clip.
+async function openArchivedAudio(id, { start, end }) {
+  return getBackend().open(id, { start, end });
+}
+
+// Stores a clip once and resolves to its record. `key` identifies the clip (its clip id);
+// `load()` resolves to { body: Buffer, contentType } and is only called when the clip is
+// not archived yet. Concurrent calls for the same clip share one download.
+async function archiveAudio({ key, sourceUrl, load }) {
+  if (!isArchiveEnabled()) throw createArchiveError('The audio archive is turned off.', 503);
+  if (!key) throw createArchiveError('A clip id is required to archive audio.', 400);
+
+  const id = archiveId(key);
+  const existing = await getArchivedAudio(id);
+  if (existing) return existing;
+  if (pendingArchives.has(id)) return pendingArchives.get(id);
+
+  const promise = (async () => {
+    const { body, contentType } = await load();
+    if (!body?.length) throw createArchiveError('The audio source returned no data.', 502);
+    if (body.length > MAX_ARCHIVE_BYTES) throw createArchiveError('The audio file is too large to archive.', 413);
+
+    const record = {
+      id,
+      key: String(key),
+      url: archiveUrl(id),
+      sourceUrl: sourceUrl || '',
+      contentType: contentType || 'audio/mpeg',
+      size: body.length,
+      etag: `"${sha256(body).slice(0, 32)}"`,
+      storedAt: new Date().toISOString(),
+    };
+    await getBackend().write(id, body, record);
+    remember(record);
+    return record;
+  })().finally(() => pendingArchives.delete(id));
+  pendingArchives.set(id, promise);
+  return promise;
+}
+
+// The archive URL for a clip if it has already been stored, without downloading anything.
+async function findArchivedUrl(key) {
+  if (!key) return '';
+  const record = await getArchivedAudio(archiveId(key)).catch(() => null);
+  return record ? record.url : '';
+}
+
+module.exports = {
+  MAX_ARCHIVE_BYTES,
+  archiveAudio,
+  findArchivedUrl,
+  getArchivedAudio,
+  isArchiveEnabled,
+  openArchivedAudio,
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// Server-Sent Events for /api/events. Each stream gets an id in its `ready` event and only
+// receives events for the tasks, clips and jobs its page registers with watchEvents(), so
+// one visitor never sees another's songs. Clients live in this process only, so with
+// several server instances an event reaches the browsers connected to the instance that
+// received it, and the page's slower polling covers the rest.
+const HEARTBEAT_MS = 25000;
+const MAX_WATCHED_KEYS = 500;
+
+const clients = new Map();
+
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Takes over the response for an event stream. `ready` tells the page its stream id and
+// whether pushed clips are expected (`webhooks`), so it can poll less often.
+function openEventStream(req, res, { webhooks = false } = {}) {
+  const id = crypto.randomBytes(16).toString('hex');
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 5000\n\n');
+  writeEvent(res, 'ready', { stream: id, webhooks });
+
+  // Comments keep proxies from closing an idle connection.
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  clients.set(id, { res, keys: new Set() });
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(id);
+  });
+}
+
+// Registers keys ("task:<id>", "clip:<id>", "job:<id>") for a stream. Returns false when
+// the stream is not open on this instance. The oldest keys are dropped past the limit.
+function watchEvents(streamId, keys) {
+  const client = clients.get(streamId);
+  if (!client) return false;
+  keys.forEach((key) => {
+    client.keys.delete(key);
+    client.keys.add(key);
+  });
+  while (client.keys.size > MAX_WATCHED_KEYS) {
+    client.keys.delete(client.keys.values().next().value);
+  }
+  return true;
+}
+
+// Sends an event to the streams watching any of `keys`.
+function publishEvent(type, data, keys) {
+  clients.forEach(({ res, keys: watched }) => {
+    if (keys.some((key) => watched.has(key))) writeEvent(res, type, data);
+  });
+}
+
+module.exports = {
+  openEventStream,
+  publishEvent,
+  watchEvents,
+};
@@ -0,0 +1,72 @@
+const DEFAULT_FEED_TTL_MS = 10 * 60 * 1000;
+
+// Cached feed bodies keyed by feed URL: { body, etag, lastModified, fetchedAt, expiresAt }.
+const feedCache = new Map();
+// Requests currently in flight, so concurrent page loads share one upstream fetch.
+const pendingFetches = new Map();
+
+function getCachedFeed(url) {
+  return feedCache.get(url) || null;
+}
+
+function isFresh(entry, now = Date.now()) {
+  return Boolean(entry) && entry.expiresAt > now;
+}
+
+function buildConditionalHeaders(entry) {
+  const headers = {};
+  if (entry?.etag) headers['If-None-Match'] = entry.etag;
+  if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+function storeFeed(url, { body, etag = '', lastModified = '' }, ttlMs = DEFAULT_FEED_TTL_MS) {
+  const now = Date.now();
+  const entry = { body, etag, lastModified, fetchedAt: now, expiresAt: now + ttlMs };
+  feedCache.set(url, entry);
+  return entry;
+}
+
+// A 304 confirms the cached body is still current; only the expiry moves forward.
+function touchFeed(url, { etag, lastModified } = {}, ttlMs = DEFAULT_FEED_TTL_MS) {
+  const entry = feedCache.get(url);
+  if (!entry) return null;
+
+  const now = Date.now();
+  const updated = {
+    ...entry,
+    etag: etag || entry.etag,
+    lastModified: lastModified || entry.lastModified,
+    fetchedAt: now,
+    expiresAt: now + ttlMs,
+  };
+  feedCache.set(url, updated);
+  return updated;
+}
+
+function withPendingFetch(url, task) {
+  if (pendingFetches.has(url)) {
+    return pendingFetches.get(url);
+  }
+
+  const promise = Promise.resolve()
+    .then(task)
+    .finally(() => pendingFetches.delete(url));
+  pendingFetches.set(url, promise);
+  return promise;
+}
+
+function clearFeedCache() {
+  feedCache.clear();
+}
+
+module.exports = {
+  DEFAULT_FEED_TTL_MS,
+  buildConditionalHeaders,
+  clearFeedCache,
+  getCachedFeed,
+  isFresh,
+  storeFeed,
+  touchFeed,
+  withPendingFetch,
+};
@@ -0,0 +1,111 @@
+const FAILURE_THRESHOLD = 3;
+const BASE_BACKOFF_MS = 5 * 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// Fetch outcomes per source id, kept for the life of the process.
+const healthBySource = new Map();
+
+function getRecord(sourceId) {
+  if (!healthBySource.has(sourceId)) {
+    healthBySource.set(sourceId, {
+      lastAttemptAt: null,
+      lastSuccessAt: null,
+      lastErrorAt: null,
+      lastError: '',
+      lastStatus: null,
+      itemCount: 0,
+      latencyMs: null,
+      consecutiveFailures: 0,
+      totalSuccesses: 0,
+      totalFailures: 0,
+      skipUntil: null,
+    });
+  }
+  return healthBySource.get(sourceId);
+}
+
+function computeBackoffMs(consecutiveFailures) {
+  const exponent = Math.max(0, consecutiveFailures - FAILURE_THRESHOLD);
+  return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** exponent);
+}
+
+function recordFetchSuccess(sourceId, { status = 200, itemCount = 0, latencyMs = null } = {}) {
+  const record = getRecord(sourceId);
+  const now = Date.now();
+
+  record.lastAttemptAt = now;
+  record.lastSuccessAt = now;
+  record.lastStatus = status;
+  record.itemCount = itemCount;
+  record.latencyMs = latencyMs;
+  record.consecutiveFailures = 0;
+  record.totalSuccesses += 1;
+  record.skipUntil = null;
+  return record;
+}
+
+function recordFetchFailure(sourceId, { error, status = null, latencyMs = null } = {}) {
+  const record = getRecord(sourceId);
+  const now = Date.now();
+
+  record.lastAttemptAt = now;
+  record.lastErrorAt = now;
+  record.lastError = String(error?.message || error || 'Unknown error');
+  record.lastStatus = status ?? error?.status ?? null;
+  record.latencyMs = latencyMs;
+  record.consecutiveFailures += 1;
+  record.totalFailures += 1;
+
+  if (record.consecutiveFailures >= FAILURE_THRESHOLD) {
+    record.skipUntil = now + computeBackoffMs(record.consecutiveFailures);
+  }
+  return record;
+}
+
+function shouldSkipSource(sourceId, now = Date.now()) {
+  const record = healthBySource.get(sourceId);
+  return Boolean(record?.skipUntil && record.skipUntil > now);
+}
+
+function describeState(source, record, now) {
+  if (!source.enabled) return 'disabled';
+  if (!record || !record.lastAttemptAt) return 'unknown';
+  if (record.skipUntil && record.skipUntil > now) return 'backing-off';
+  if (record.consecutiveFailures > 0) return 'failing';
+  return 'healthy';
+}
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+function getHealthReport(sources) {
+  const now = Date.now();
+
+  return sources.map((source) => {
+    const record = healthBySource.get(source.id);
+    return {
+      id: source.id,
+      name: source.name,
+      url: source.url,
+      enabled: source.enabled,
+      state: describeState(source, record, now),
+      lastAttemptAt: toIso(record?.lastAttemptAt),
+      lastSuccessAt: toIso(record?.lastSuccessAt),
+      lastErrorAt: toIso(record?.lastErrorAt),
+      lastError: record?.lastError || '',
+      lastStatus: record?.lastStatus ?? null,
+      itemCount: record?.itemCount || 0,
+      latencyMs: record?.latencyMs ?? null,
+      consecutiveFailures: record?.consecutiveFailures || 0,
+      totalSuccesses: record?.totalSuccesses || 0,
+      totalFailures: record?.totalFailures || 0,
+      skipUntil: record?.skipUntil && record.skipUntil > now ? toIso(record.skipUntil) : null,
+    };
+  });
+}
+
+module.exports = {
+  getHealthReport,
+  recordFetchFailure,
+  recordFetchSuccess,
+  shouldSkipSource,
+};
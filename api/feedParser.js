@@ -0,0 +1,324 @@
+const { decodeEntities } = require('./textDecoding');
+
+const FEED_FORMATS = {
+  RSS: 'rss',
+  RDF: 'rdf',
+  ATOM: 'atom',
+  JSON: 'json',
+};
+
+function stripHtml(text) {
+  return text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Feed text is frequently entity-escaped HTML, so decode once more after the
+// markup has been removed.
+function toPlainText(value) {
+  return decodeEntities(stripHtml(value)).trim();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches an element whether or not it carries attributes, e.g. `<item>` or
+// `<item rdf:about="...">`. Self-closing tags are skipped. With `anyPrefix` the
+// element may also carry a namespace prefix such as `<atom:entry>`.
+function buildElementPattern(tagName, { flags = 'i', anyPrefix = false } = {}) {
+  const name = escapeRegExp(tagName);
+  const prefix = anyPrefix ? '(?:[\\w.-]+:)?' : '';
+  return new RegExp(`<${prefix}${name}(?:\\s[^>]*)?(?<!\\/)>([\\s\\S]*?)<\\/${prefix}${name}\\s*>`, flags);
+}
+
+function unwrapCdata(value) {
+  return value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+}
+
+function extractBlocks(xml, tagName) {
+  const blocks = [];
+  const pattern = buildElementPattern(tagName, { flags: 'gi', anyPrefix: true });
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    blocks.push(match[1]);
+  }
+
+  return blocks;
+}
+
+function extractTagValue(xml, tagName) {
+  const match = xml.match(buildElementPattern(tagName))
+    || (tagName.includes(':') ? null : xml.match(buildElementPattern(tagName, { anyPrefix: true })));
+  if (!match) {
+    return '';
+  }
+
+  return decodeEntities(unwrapCdata(match[1]).trim());
+}
+
+function extractTagValues(xml, tagName) {
+  return extractBlocks(xml, tagName)
+    .map((value) => decodeEntities(unwrapCdata(value).trim()))
+    .filter(Boolean);
+}
+
+// Returns the opening tags of an element, including self-closing ones such as
+// `<media:thumbnail url="..." />` whose data lives entirely in attributes.
+function findOpeningTags(xml, tagName) {
+  const pattern = new RegExp(`<${escapeRegExp(tagName)}(?:\\s[^>]*)?>`, 'gi');
+  return xml.match(pattern) || [];
+}
+
+function extractAttribute(tagXml, attribute) {
+  const pattern = new RegExp(`\\s${escapeRegExp(attribute)}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i');
+  const match = tagXml.match(pattern);
+  if (!match) {
+    return '';
+  }
+
+  return decodeEntities(match[1] ?? match[2] ?? '').trim();
+}
+
+function extractAtomLink(entryXml) {
+  const links = entryXml.match(/<(?:[\w.-]+:)?link\b[^>]*>/gi) || [];
+  let fallback = '';
+
+  for (const tag of links) {
+    const href = extractAttribute(tag, 'href');
+    if (!href) continue;
+
+    const rel = extractAttribute(tag, 'rel').toLowerCase();
+    if (!rel || rel === 'alternate') {
+      return href;
+    }
+
+    if (!fallback && rel !== 'self' && rel !== 'enclosure') {
+      fallback = href;
+    }
+  }
+
+  return fallback;
+}
+
+function parseDate(value) {
+  if (!value) return '';
+  const date = new Date(typeof value === 'string' ? value.trim() : value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+function uniqueValues(values) {
+  return [...new Set(values.map((value) => value.trim()).filter(Boolean))];
+}
+
+// RSS `<author>` is usually `email (Name)`; prefer the display name when present.
+function normaliseAuthor(value) {
+  const plain = toPlainText(value || '');
+  const named = plain.match(/^[^\s@]+@[^\s@]+\s*\(([^)]+)\)$/);
+  return named ? named[1].trim() : plain;
+}
+
+function isImageMedia(tag) {
+  const medium = extractAttribute(tag, 'medium').toLowerCase();
+  const type = extractAttribute(tag, 'type').toLowerCase();
+  if (medium) return medium === 'image';
+  if (type) return type.startsWith('image/');
+  return /\.(?:jpe?g|png|gif|webp|avif)(?:[?#]|$)/i.test(extractAttribute(tag, 'url'));
+}
+
+function extractImageUrl(xml) {
+  for (const tag of findOpeningTags(xml, 'media:thumbnail')) {
+    const url = extractAttribute(tag, 'url');
+    if (url) return url;
+  }
+
+  for (const tag of findOpeningTags(xml, 'media:content')) {
+    const url = extractAttribute(tag, 'url');
+    if (url && isImageMedia(tag)) return url;
+  }
+
+  for (const tag of findOpeningTags(xml, 'enclosure')) {
+    const url = extractAttribute(tag, 'url') || extractAttribute(tag, 'href');
+    if (url && isImageMedia(tag)) return url;
+  }
+
+  for (const tag of findOpeningTags(xml, 'itunes:image')) {
+    const href = extractAttribute(tag, 'href');
+    if (href) return href;
+  }
+
+  // Atom feeds (Reddit included) may only carry the image inside the HTML body.
+  const inlineImage = decodeEntities(xml).match(/<img\b[^>]*\ssrc\s*=\s*["']([^"']+)["']/i);
+  return inlineImage ? decodeEntities(inlineImage[1]).trim() : '';
+}
+
+function extractCategories(xml) {
+  const values = [];
+
+  for (const tag of findOpeningTags(xml, 'category')) {
+    const term = extractAttribute(tag, 'term');
+    if (term) values.push(term);
+  }
+
+  extractTagValues(xml, 'category').forEach((value) => values.push(toPlainText(value)));
+  extractTagValues(xml, 'dc:subject').forEach((value) => values.push(toPlainText(value)));
+
+  return uniqueValues(values);
+}
+
+function detectFeedFormat(body) {
+  if (typeof body !== 'string') {
+    return null;
+  }
+
+  const trimmed = body.replace(/^\uFEFF/, '').trimStart();
+
+  if (trimmed.startsWith('{')) {
+    return FEED_FORMATS.JSON;
+  }
+
+  // Skip the prolog, comments and doctype so we inspect the root element only.
+  const root = trimmed
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '')
+    .trimStart()
+    .match(/^<([\w.-]+:)?([\w.-]+)/);
+
+  if (!root) {
+    return null;
+  }
+
+  const rootName = root[2].toLowerCase();
+  if (rootName === 'rss') return FEED_FORMATS.RSS;
+  if (rootName === 'rdf') return FEED_FORMATS.RDF;
+  if (rootName === 'feed') return FEED_FORMATS.ATOM;
+  if (rootName === 'channel') return FEED_FORMATS.RSS;
+
+  return null;
+}
+
+function parseRssItems(xml, limit) {
+  const items = [];
+
+  for (const itemXml of extractBlocks(xml, 'item')) {
+    if (items.length >= limit) break;
+
+    const headline = toPlainText(extractTagValue(itemXml, 'title'));
+    const summary = toPlainText(
+      extractTagValue(itemXml, 'description') || extractTagValue(itemXml, 'content:encoded'),
+    );
+    const guid = extractTagValue(itemXml, 'guid');
+    const link = extractTagValue(itemXml, 'link') || (/^https?:\/\//i.test(guid) ? guid : '');
+
+    if (headline) {
+      items.push({
+        headline,
+        summary,
+        link,
+        guid: guid || link,
+        author: normaliseAuthor(extractTagValue(itemXml, 'author') || extractTagValue(itemXml, 'dc:creator')),
+        publishedAt: parseDate(extractTagValue(itemXml, 'pubDate') || extractTagValue(itemXml, 'dc:date')),
+        updatedAt: parseDate(extractTagValue(itemXml, 'atom:updated') || extractTagValue(itemXml, 'dcterms:modified')),
+        imageUrl: extractImageUrl(itemXml),
+        categories: extractCategories(itemXml),
+      });
+    }
+  }
+
+  return items;
+}
+
+function parseAtomEntries(xml, limit) {
+  const items = [];
+
+  for (const entryXml of extractBlocks(xml, 'entry')) {
+    if (items.length >= limit) break;
+
+    const headline = toPlainText(extractTagValue(entryXml, 'title'));
+    const summary = toPlainText(extractTagValue(entryXml, 'summary') || extractTagValue(entryXml, 'content'));
+    const link = extractAtomLink(entryXml);
+    const authorXml = extractBlocks(entryXml, 'author')[0] || '';
+
+    if (headline) {
+      items.push({
+        headline,
+        summary,
+        link,
+        guid: extractTagValue(entryXml, 'id') || link,
+        author: normaliseAuthor(extractTagValue(authorXml, 'name')),
+        publishedAt: parseDate(extractTagValue(entryXml, 'published') || extractTagValue(entryXml, 'issued')),
+        updatedAt: parseDate(extractTagValue(entryXml, 'updated') || extractTagValue(entryXml, 'modified')),
+        imageUrl: extractImageUrl(entryXml),
+        categories: extractCategories(entryXml),
+      });
+    }
+  }
+
+  return items;
+}
+
+function parseJsonFeed(body, limit) {
+  let data;
+  try {
+    data = JSON.parse(body.replace(/^\uFEFF/, ''));
+  } catch {
+    return [];
+  }
+
+  const entries = Array.isArray(data?.items) ? data.items : [];
+  const items = [];
+
+  for (const entry of entries) {
+    if (items.length >= limit) break;
+    if (!entry || typeof entry !== 'object') continue;
+
+    const headline = typeof entry.title === 'string' ? toPlainText(entry.title) : '';
+    const rawSummary = entry.summary || entry.content_text || entry.content_html || '';
+    const summary = typeof rawSummary === 'string' ? toPlainText(rawSummary) : '';
+    const rawLink = entry.url || entry.external_url || '';
+    const link = typeof rawLink === 'string' ? rawLink.trim() : '';
+    const authors = Array.isArray(entry.authors) ? entry.authors : [entry.author].filter(Boolean);
+    const image = entry.image || entry.banner_image || '';
+    const tags = Array.isArray(entry.tags) ? entry.tags.filter((tag) => typeof tag === 'string') : [];
+
+    if (headline) {
+      items.push({
+        headline,
+        summary,
+        link,
+        guid: entry.id != null ? String(entry.id) : link,
+        author: normaliseAuthor(typeof authors[0]?.name === 'string' ? authors[0].name : ''),
+        publishedAt: parseDate(entry.date_published),
+        updatedAt: parseDate(entry.date_modified),
+        imageUrl: typeof image === 'string' ? image.trim() : '',
+        categories: uniqueValues(tags),
+      });
+    }
+  }
+
+  return items;
+}
+
+function parseFeed(body, limit) {
+  const format = detectFeedFormat(body);
+
+  switch (format) {
+    case FEED_FORMATS.JSON:
+      return parseJsonFeed(body, limit);
+    case FEED_FORMATS.ATOM:
+      return parseAtomEntries(body, limit);
+    case FEED_FORMATS.RSS:
+    case FEED_FORMATS.RDF:
+      return parseRssItems(body, limit);
+    default:
+      // Unknown root element: fall back to whichever item shape is present.
+      if (typeof body !== 'string') return [];
+      return /<(?:[\w.-]+:)?entry[\s>]/i.test(body) ? parseAtomEntries(body, limit) : parseRssItems(body, limit);
+  }
+}
+
+module.exports = {
+  FEED_FORMATS,
+  detectFeedFormat,
+  parseFeed,
+};
@@ -0,0 +1,139 @@
+const DEFAULT_PAGE_SIZE = 120;
+const MAX_PAGE_SIZE = 200;
+
+function createQueryError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase();
+}
+
+function parseList(value) {
+  const raw = Array.isArray(value) ? value.join(',') : value;
+  if (typeof raw !== 'string') return [];
+  return [...new Set(raw.split(',').map((entry) => normalizeText(entry).trim()).filter(Boolean))];
+}
+
+function parseDateParam(value, name) {
+  if (value === undefined || value === '') return null;
+  const timestamp = Date.parse(String(value));
+  if (Number.isNaN(timestamp)) {
+    throw createQueryError(`Query parameter "${name}" must be a date (e.g. 2024-05-01).`);
+  }
+  return timestamp;
+}
+
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (state && typeof state === 'object' && Number.isInteger(state.o) && state.o >= 0) {
+      return state;
+    }
+  } catch {
+    // fall through
+  }
+  throw createQueryError('Query parameter "cursor" is invalid.');
+}
+
+function parseHeadlineQuery(query = {}) {
+  const requestedLimit = Number.parseInt(query.limit, 10);
+  const limit = Number.isNaN(requestedLimit)
+    ? DEFAULT_PAGE_SIZE
+    : Math.max(1, Math.min(MAX_PAGE_SIZE, requestedLimit));
+
+  const from = parseDateParam(query.from, 'from');
+  const to = parseDateParam(query.to, 'to');
+  if (from !== null && to !== null && from > to) {
+    throw createQueryError('Query parameter "from" must not be later than "to".');
+  }
+
+  const keywordSource = typeof query.q === 'string' ? query.q : '';
+
+  return {
+    limit,
+    cursor: decodeCursor(query.cursor),
+    topics: parseList(query.topic || query.topics || query.category),
+    from,
+    to,
+    keywords: normalizeText(keywordSource).split(/\s+/).filter(Boolean),
+  };
+}
+
+// Category words joined by single spaces and padded, so a topic matches whole words only
+// ("us" matches "U.S. Politics" but not "Business"). Dots are dropped so abbreviations read
+// as one word.
+function categoryWords(value) {
+  const words = normalizeText(value).replace(/\./g, '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return words.length ? ` ${words.join(' ')} ` : '';
+}
+
+function matchesTopics(story, topics) {
+  if (!topics.length) return true;
+  const values = [
+    ...(Array.isArray(story.categories) ? story.categories : []),
+    story.sourceCategory,
+  ].map(categoryWords).filter(Boolean);
+
+  return topics.map(categoryWords).filter(Boolean)
+    .some((topic) => values.some((value) => value.includes(topic)));
+}
+
+function matchesDateRange(story, from, to) {
+  if (from === null && to === null) return true;
+  const timestamp = Date.parse(story.publishedAt || story.updatedAt || '');
+  // Undated stories cannot be placed in a range, so a date filter excludes them.
+  if (Number.isNaN(timestamp)) return false;
+  if (from !== null && timestamp < from) return false;
+  if (to !== null && timestamp > to) return false;
+  return true;
+}
+
+function matchesKeywords(story, keywords) {
+  if (!keywords.length) return true;
+  const haystack = normalizeText(`${story.headline || ''} ${story.summary || ''}`);
+  return keywords.every((keyword) => haystack.includes(keyword));
+}
+
+function filterStories(stories, { topics = [], from = null, to = null, keywords = [] } = {}) {
+  return stories.filter((story) => (
+    matchesTopics(story, topics)
+    && matchesDateRange(story, from, to)
+    && matchesKeywords(story, keywords)
+  ));
+}
+
+// The cursor remembers the last item served as well as its offset. The list can
+// grow between requests as background article checks finish, so the item is
+// looked up first and the offset is only a fallback.
+function paginate(items, { limit, cursor }, getKey) {
+  let start = 0;
+  if (cursor) {
+    const index = cursor.k ? items.findIndex((item) => getKey(item) === cursor.k) : -1;
+    start = index >= 0 ? index + 1 : Math.min(cursor.o, items.length);
+  }
+
+  const page = items.slice(start, start + limit);
+  const end = start + page.length;
+  const nextCursor = end < items.length && page.length
+    ? encodeCursor({ o: end, k: getKey(page[page.length - 1]) })
+    : null;
+
+  return { page, nextCursor };
+}
+
+module.exports = {
+  filterStories,
+  paginate,
+  parseHeadlineQuery,
+};
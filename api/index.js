@@ -1,26 +1,89 @@
+const crypto = require('crypto');
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const { Readable } = require('stream');
-const { fetchTopNews } = require('./newsService');
-const { fetchArticleContent } = require('./articleService');
+const { fetchTopNews, isKnownStoryHost } = require('./newsService');
+const { MIN_ARTICLE_CONFIDENCE } = require('./articleService');
+const { loadArticle, pruneArticles, refreshArticle } = require('./articleStore');
+const { clusterStories } = require('./storyClusters');
+const { filterStories, paginate, parseHeadlineQuery } = require('./headlineQuery');
+const {
+  enqueueArticleChecks,
+  getKnownArticleLength,
+  getPendingCheckCount,
+} = require('./articleLengthWorker');
+const { getHealthReport } = require('./feedHealth');
+const { safeFetch } = require('./safeFetch');
+const {
+  MAX_ARCHIVE_BYTES,
+  archiveAudio,
+  findArchivedUrl,
+  getArchivedAudio,
+  isArchiveEnabled,
+  openArchivedAudio,
+} = require('./audioArchive');
+const { openEventStream, publishEvent, watchEvents } = require('./eventStream');
+const {
+  createJob,
+  defineJobType,
+  getJob,
+  onJobUpdate,
+  resumeJobs,
+  waitFor,
+  wakeJobs,
+} = require('./jobQueue');
+const { describeMissingProvider, runLlmTask } = require('./llmProviders');
+const { checkLyricsAgainstArticle } = require('./lyricsFactCheck');
+const {
+  getLyricStyle,
+  listLyricStyles,
+  loadPrompts,
+  renderLyricsPrompt,
+  renderPrompt,
+  resolveLyricStyle,
+} = require('./promptTemplates');
+const { listLanguages, resolveLanguage } = require('./languages');
+const {
+  createMusicTask,
+  describeMissingMusicProvider,
+  getMusicTaskStatus,
+  getMusicWebhookUrl,
+  getStubAudio,
+  isFinalMusicState,
+  listMusicClips,
+  listMusicOptions,
+  parseMusicWebhook,
+  resolveMusicOptions,
+  summarizeState,
+  verifyMusicWebhook,
+} = require('./musicProviders');
+const {
+  DEFAULT_STRUCTURE,
+  describeStructure,
+  fitLyrics,
+  formatStructure,
+  parseStructure,
+} = require('./songStructure');
+const {
+  PODCAST_PLAN_RESPONSE_FORMAT,
+  PODCAST_PLAN_SCHEMA,
+  validateSchema,
+} = require('./podcastPlanSchema');
+const {
+  addSource,
+  listSources,
+  parseSourceIds,
+  setSourceEnabled,
+} = require('./sourceRegistry');
 
 const MIN_ARTICLE_CHAR_LENGTH = 2000;
+const FEED_STORY_LIMIT = 120;
+// When set, user-supplied article URLs must belong to a site the configured feeds link to.
+const RESTRICT_ARTICLE_HOSTS = /^(1|true|yes)$/i.test(process.env.RESTRICT_ARTICLE_HOSTS || '');
+const ARTICLE_FETCH_OPTIONS = RESTRICT_ARTICLE_HOSTS ? { allowHost: isKnownStoryHost } : {};
 
 const SUNO_PROMPT_MAX_CHARS = 3000;
-const OPEN_ROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-const SONIC_API_BASE_URL = 'https://api.aimusicapi.ai/api/v1/sonic';
-const LYRIC_MODELS = [
-  // Order matters: try fastest/cheapest first, then stronger fallbacks.
-  'openai/gpt-4o-mini',
-  'anthropic/claude-3.5-sonnet',
-  'google/gemini-1.5-flash',
-  'meta/llama-3.1-8b-instruct',
-  'deepseek/deepseek-chat-v3.1:free',
-  'meta-llama/llama-3.1-8b-instruct:free',
-];
-
-const PODCAST_PLANNER_MODEL = 'openai/gpt-4o-mini';
 
 const ALLOWED_AUDIO_HOSTS = new Set([
   'audiopipe.suno.ai',
@@ -70,64 +133,6 @@ function isAllowedAudioHost(hostname) {
   return false;
 }
 
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
-async function callOpenRouterOnce({ model, messages, timeoutMs = 20000 }) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), timeoutMs);
-
-  try {
-    const res = await fetch(OPEN_ROUTER_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPEN_ROUTER_KEY}`,
-        // OpenRouter recommends these two for routing/analytics; not strictly required but helps reliability:
-        'HTTP-Referer': process.env.SITE_URL || 'http://localhost:3000',
-        'X-Title': 'Daily Spin', //'ai-news-song'
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model,
-        messages,
-        temperature: 0.85,
-      }),
-      signal: ctrl.signal,
-    });
-
-    // Treat 5xx as retryable; 4xx as terminal for this model
-    if (!res.ok) {
-      const text = await res.text().catch(() => '');
-      const err = new Error(`OpenRouter ${res.status}: ${text || res.statusText}`);
-      err.status = res.status;
-      console.log(err);
-      throw err;
-    }
-
-    const json = await res.json();
-    const content = json?.choices?.[0]?.message?.content?.trim();
-    if (!content) throw new Error('OpenRouter did not return content');
-    return content;
-  } finally {
-    clearTimeout(t);
-  }
-}
-
-async function callOpenRouterWithRetries({ model, messages, attempts = 3 }) {
-  let delay = 750;
-  for (let i = 0; i < attempts; i++) {
-    try {
-      return await callOpenRouterOnce({ model, messages });
-    } catch (err) {
-      // 5xx/abort -> retry; 4xx -> stop
-      const status = err.status || 0;
-      const retryable = status >= 500 || status === 0; // 0 = fetch/abort/network
-      if (!retryable || i === attempts - 1) throw err;
-      await sleep(delay);
-      delay *= 2; // backoff
-    }
-  }
-}
-
 function loadEnv() {
   const envFile = path.join(__dirname, '..', '.env');
 
@@ -187,45 +192,55 @@ app.get('/api/firebase-config', (_req, res) => {
   res.json(config);
 });
 
-async function resolveArticleLength(link, cache) {
-  if (!link) {
-    return 0;
-  }
-
-  if (cache.has(link)) {
-    return cache.get(link);
-  }
+app.get('/api/news-headlines', async (req, res) => {
+  const sourceIds = parseSourceIds(req.query.sources || req.query.source);
 
-  let length = 0;
+  let query;
   try {
-    const content = await fetchArticleContent(link);
-    length = typeof content === 'string' ? content.length : 0;
+    query = parseHeadlineQuery(req.query);
   } catch (error) {
-    console.warn(`Skipping story due to article fetch failure (${link}):`, error.message);
-    length = 0;
+    return res.status(error.status || 400).json({ error: error.message });
   }
 
-  cache.set(link, length);
-  return length;
-}
-
-app.get('/api/news-headlines', async (req, res) => {
-  const limit = 120;//Math.max(1, Math.min(20, Number.parseInt(req.query.limit, 10) || 8));
-
   try {
-    const stories = await fetchTopNews(limit);
+    const stories = filterStories(await fetchTopNews(FEED_STORY_LIMIT, { sourceIds }), query);
     const seen = new Set();
+    const candidates = [];
     const uniqueStories = [];
-    const articleLengthCache = new Map();
+    const uncheckedLinks = [];
 
     for (const story of stories) {
       if (!story?.headline || !story?.link) continue;
       const key = story.link || `${story.source || 'source'}:${story.headline}`;
       if (seen.has(key)) continue;
       seen.add(key);
+      candidates.push(story);
+    }
+
+    for (const cluster of clusterStories(candidates)) {
+      // The cluster is shown under its representative, or under another member when the
+      // representative's article is too short. Article lengths are resolved in the
+      // background, so a cluster waits until that choice can be made and shows up on a
+      // later request.
+      const { representative } = cluster;
+      const representativeLength = getKnownArticleLength(representative.link);
+      if (representativeLength === undefined) {
+        uncheckedLinks.push(representative.link);
+        continue;
+      }
 
-      const length = await resolveArticleLength(story.link, articleLengthCache);
-      if (length < MIN_ARTICLE_CHAR_LENGTH) {
+      let story = representativeLength >= MIN_ARTICLE_CHAR_LENGTH ? representative : null;
+      for (const member of story ? [] : cluster.stories.slice(1)) {
+        const length = getKnownArticleLength(member.link);
+        if (length === undefined) {
+          uncheckedLinks.push(member.link);
+        } else if (length >= MIN_ARTICLE_CHAR_LENGTH) {
+          story = member;
+          break;
+        }
+      }
+
+      if (!story) {
         continue;
       }
 
@@ -233,18 +248,103 @@ app.get('/api/news-headlines', async (req, res) => {
         headline: story.headline,
         summary: story.summary || '',
         source: story.source || '',
+        sourceId: story.sourceId || '',
         link: story.link || '',
+        guid: story.guid || '',
+        author: story.author || '',
+        publishedAt: story.publishedAt || '',
+        updatedAt: story.updatedAt || '',
+        imageUrl: story.imageUrl || '',
+        categories: Array.isArray(story.categories) ? story.categories : [],
+        category: story.sourceCategory || '',
+        clusterId: cluster.id,
+        sourceCount: cluster.sourceCount,
+        coverage: cluster.stories.map((member) => ({
+          source: member.source || '',
+          sourceId: member.sourceId || '',
+          headline: member.headline,
+          link: member.link || '',
+          publishedAt: member.publishedAt || '',
+        })),
       });
-
-      if (uniqueStories.length >= limit) break;
     }
 
-    res.json({ stories: uniqueStories });
+    enqueueArticleChecks(uncheckedLinks);
+    const { page, nextCursor } = paginate(uniqueStories, query, (story) => story.clusterId);
+    res.json({
+      stories: page,
+      nextCursor,
+      total: uniqueStories.length,
+      pending: getPendingCheckCount(),
+    });
   } catch (error) {
     res.status(502).json({ error: 'Unable to load news headlines.', details: error.message });
   }
 });
 
+app.get('/api/sources', (_req, res) => {
+  res.json({ sources: listSources() });
+});
+
+app.get('/api/sources/health', (_req, res) => {
+  res.json({ sources: getHealthReport(listSources()) });
+});
+
+// Changes to the source list are saved to config/news-sources.json and apply to every
+// visitor, so they need the ADMIN_TOKEN as a bearer token (or X-Admin-Token). Without an
+// ADMIN_TOKEN the routes are turned off.
+function requireAdmin(req, res, next) {
+  const expected = Buffer.from(process.env.ADMIN_TOKEN || '');
+  if (!expected.length) return res.status(403).json({ error: 'Source changes are disabled; set ADMIN_TOKEN to enable them.' });
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const given = Buffer.from(bearer ? bearer[1].trim() : req.get('x-admin-token') || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'A valid admin token is required.' });
+  }
+  return next();
+}
+
+app.post('/api/sources', requireAdmin, (req, res) => {
+  try {
+    const source = addSource(req.body || {});
+    res.status(201).json({ source });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sources/:id/disable', requireAdmin, (req, res) => {
+  try {
+    res.json({ source: setSourceEnabled(req.params.id, false) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sources/:id/enable', requireAdmin, (req, res) => {
+  try {
+    res.json({ source: setSourceEnabled(req.params.id, true) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Article text saved by the content store; spins refer to it by hash instead of copying it.
+app.get('/api/articles/:hash', async (req, res) => {
+  try {
+    const record = await refreshArticle(String(req.params.hash || '').toLowerCase(), ARTICLE_FETCH_OPTIONS);
+    if (!record) {
+      return res.status(404).json({ error: 'No stored article matches that id.' });
+    }
+
+    const { hash, url, content, confidence, via, metadata, storedAt } = record;
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({ hash, url, content, confidence, via, metadata, storedAt });
+  } catch (error) {
+    res.status(502).json({ error: 'Unable to load the stored article.', details: error.message });
+  }
+});
+
 app.post('/api/article-content', async (req, res) => {
   const { url } = req.body || {};
 
@@ -253,15 +353,18 @@ app.post('/api/article-content', async (req, res) => {
   }
 
   try {
-    const content = await fetchArticleContent(url);
+    const { hash, content, confidence, metadata, via } = await loadArticle(url, ARTICLE_FETCH_OPTIONS);
     if (!content) {
       return res.status(404).json({ error: 'The article did not contain readable content.' });
     }
 
-    res.json({ content });
+    // Offered to the client as the default language for lyrics about this article.
+    const { code, name, nativeName } = resolveLanguage('', { declared: metadata?.language, text: content });
+    res.json({ hash, content, confidence, metadata, via, language: { code, name, nativeName } });
   } catch (error) {
+    // Rejected URLs (bad scheme, private address, unknown site, oversized page) keep their 4xx status.
     res
-      .status(502)
+      .status(error.status >= 400 && error.status < 500 ? error.status : 502)
       .json({ error: 'Unable to load article content for the selected headline.', details: error.message });
   }
 });
@@ -299,8 +402,10 @@ function formatStoriesForModel(stories) {
       const prefix = story?.source ? `[${story.source}]` : 'Headline';
       const headline = story?.headline ? story.headline : '';
       const summary = story?.summary ? `Summary: ${story.summary}` : '';
+      const coverage = Number(story?.sourceCount) > 1 ? `Covered by ${story.sourceCount} sources` : '';
       parts.push(`${index + 1}. ${prefix} ${headline}`.trim());
       if (summary) parts.push(summary);
+      if (coverage) parts.push(coverage);
       return parts.filter(Boolean).join(' \u2014 ');
     })
     .filter(Boolean)
@@ -317,88 +422,132 @@ function normalizeHeadlineKey(text) {
     .trim();
 }
 
-async function summarizeArticleWithOpenRouter({ headline, source, articleText }) {
-  const apiKey = process.env.OPEN_ROUTER_KEY;
+// Suno's prompt limit counts characters, so languages written in denser scripts get a
+// proportionally smaller budget (`maxChars` in config/languages.json).
+function languageLengthScale(language) {
+  return Math.min(1, (language?.maxChars || SUNO_PROMPT_MAX_CHARS) / SUNO_PROMPT_MAX_CHARS);
+}
+
+// "Spanish (Español)" for prompts; the native name helps models pick the right variety.
+function describeLanguage(language) {
+  const { name = 'English', nativeName } = language || {};
+  return nativeName && nativeName !== name ? `${name} (${nativeName})` : name;
+}
+
+// Writes lyrics for one article in the requested style and language. Resolves to
+// { lyrics, style, promptVersion } so the spin can record which prompt produced it.
+async function summarizeArticleWithOpenRouter({
+  headline,
+  source,
+  articleText,
+  corrections = [],
+  style,
+  language,
+  structure = DEFAULT_STRUCTURE,
+}) {
   console.log("getting lyrics for ", headline, source);
-  if (!apiKey) {
-    throw new Error('OpenRouter API key is not configured.');
-  }
 
   if (!articleText) {
     throw new Error('No article content was provided for summarisation.');
   }
 
   const truncatedArticle = articleText.length > 20000 ? `${articleText.slice(0, 20000)}…` : articleText;
-  const system = [
-    'You are a songwriter who transforms news articles into factual, clear, and comprehensive songs.',
-    'Your goal is to accurately convey the main points, background, context, and implications of the article as directly and clearly as possible.',
-    'Prioritize clarity and completeness over artistic style.',
-    'The song should explain events, causes, people involved, timelines, and consequences in a way that someone unfamiliar with the topic could fully understand.',
-    'Use plain, direct language—avoid rhyme, metaphor, symbolism, or exaggeration unless absolutely necessary for readability.',
-    'Maintain a neutral, explanatory, and informative tone, similar to a well-written summary that happens to have rhythm and phrasing like a song.',
-    'Organize the lyrics logically (intro, body, conclusion), showing cause and effect where relevant.',
-    'Prefer factual density—include as many specific details from the article as possible while keeping natural flow.',
-    'The final output should be close to 3000 characters, but must not exceed that limit.',
-    'Do not invent or infer facts not clearly stated in the article. Respond with plain text only.',
-  ].join(' ');
-
-  const user = [
-    'Write a factual, explanatory song based on the following news article.',
-    'Keep it clear, informative, and comprehensive, following the above rules.',
-    `\n\nHeadline: ${headline || 'Unknown headline'}\nSource: ${source || 'Unknown source'}\n\nArticle Content:\n${truncatedArticle}`,
-  ].join(' ');
-
-  const messages = [
-    { role: 'system', content: system },
-    { role: 'user', content: user },
-  ];
+  const prompt = renderLyricsPrompt(style, {
+    headline: headline || 'Unknown headline',
+    source: source || 'Unknown source',
+    article: truncatedArticle,
+    corrections: corrections.length
+      ? `A previous draft included details that are not in the article: ${corrections.map(({ text }) => `"${text}"`).join(', ')}. Leave them out unless the article states them.`
+      : '',
+    languageName: describeLanguage(language),
+    structure: describeStructure(structure),
+  }, { lengthScale: languageLengthScale(language) });
+
+  const { text: response } = await runLlmTask('lyrics', prompt.messages);
+  console.log("get lyrics success.")
+
+  return {
+    lyrics: fitLyrics(response, prompt.maxChars),
+    style: prompt.style,
+    promptVersion: prompt.promptVersion,
+  };
+}
+
+const FACT_CHECK_MODES = new Set(['off', 'warn', 'regenerate']);
+
+// LYRICS_FACT_CHECK: 'warn' (default) attaches unsupported details as warnings,
+// 'regenerate' asks for one more draft without them first, 'off' skips the check.
+function getFactCheckMode() {
+  const mode = String(process.env.LYRICS_FACT_CHECK || 'warn').trim().toLowerCase();
+  return FACT_CHECK_MODES.has(mode) ? mode : 'warn';
+}
+
+// Writes article lyrics and checks their names, places, numbers and dates against the
+// article. Resolves to { lyrics, style, promptVersion, factCheck }; factCheck is null
+// when the check is off.
+async function writeCheckedLyrics({ headline, source, articleText, style, language, structure }) {
+  const mode = getFactCheckMode();
+  let draft = await summarizeArticleWithOpenRouter({ headline, source, articleText, style, language, structure });
+  if (mode === 'off') return { ...draft, factCheck: null };
 
-  const errors = [];
-  let response = "";
-  for (const model of LYRIC_MODELS) {
-    console.log("trying model:", model);
+  const checkOptions = { properNouns: (language?.code || 'en') === 'en' };
+  let report = checkLyricsAgainstArticle(draft.lyrics, articleText, checkOptions);
+  let regenerated = false;
+
+  if (mode === 'regenerate' && report.unsupportedClaims.length) {
     try {
-      response = await callOpenRouterWithRetries({ model, messages, attempts: 1 });
-      break;
-    } catch (e) {
-      errors.push(`[${model}] ${e.message}`);
-      continue;
+      const retry = await summarizeArticleWithOpenRouter({
+        headline,
+        source,
+        articleText,
+        style,
+        language,
+        structure,
+        corrections: report.unsupportedClaims,
+      });
+      const retryReport = checkLyricsAgainstArticle(retry.lyrics, articleText, checkOptions);
+      // Keep whichever draft strays less from the article.
+      if (retryReport.unsupportedClaims.length < report.unsupportedClaims.length) {
+        draft = retry;
+        report = retryReport;
+        regenerated = true;
+      }
+    } catch (error) {
+      console.warn('Unable to regenerate lyrics after the fact check:', error.message);
     }
   }
 
-  if (!response) {
-    throw new Error('no response from openrouter');
+  if (report.warnings.length) {
+    console.warn(`Lyrics fact check for "${headline}":`, report.warnings.join(' '));
   }
-  console.log("get lyrics success.")
 
-  return enforcePromptLimit(response, SUNO_PROMPT_MAX_CHARS);
+  return { ...draft, factCheck: { mode, regenerated, ...report } };
 }
 
-async function generateLyricsWithOpenRouter(stories) {
+// Headline-digest lyrics for requests without an article. The style contributes its tone
+// and length; resolves to { lyrics, style, promptVersion } (promptVersion is null when the
+// digest itself is used).
+async function generateLyricsWithOpenRouter(stories, style, language, structure = DEFAULT_STRUCTURE) {
   const newsDigest = formatStoriesForModel(stories);
-  const system = [
-    'You are a news reporter writing literal, clear, factual lyrics about current events.',
-    'Keep the response under 3000 characters. Do not include introductions or commentary—respond with lyrics only.',
-  ].join(' ');
-  const user = [
-    `Use these headlines to craft a cohesive set of song lyrics.`,
-    `Mention the concrete events and provide details. Prefer accurate clear description of the news.\n\n${newsDigest}`,
-  ].join(' ');
-  const messages = [
-    { role: 'system', content: system },
-    { role: 'user', content: user },
-  ];
+  const lyricStyle = getLyricStyle(style);
+  const maxChars = Math.round(lyricStyle.maxChars * languageLengthScale(language));
+  const { messages, promptVersion } = renderPrompt('headlineLyrics', {
+    digest: newsDigest,
+    tone: lyricStyle.tone,
+    maxChars,
+    languageName: describeLanguage(language),
+    structure: describeStructure(structure),
+  });
 
-  const errors = [];
-  for (const model of LYRIC_MODELS) {
-    console.log("trying model:", model);
-    try {
-      const lyrics = await callOpenRouterWithRetries({ model, messages, attempts: 1 });
-      if (lyrics && /\w/.test(lyrics)) return enforcePromptLimit(lyrics);
-    } catch (e) {
-      errors.push(`[${model}] ${e.message}`);
-      continue;
-    }
+  try {
+    const { text: lyrics } = await runLlmTask('lyrics', messages);
+    return {
+      lyrics: fitLyrics(lyrics, maxChars),
+      style: lyricStyle.id,
+      promptVersion,
+    };
+  } catch (e) {
+    console.warn('Every lyrics model failed, using the headline digest:', e.message);
   }
 
   // Last-resort stub so the Suno step can proceed
@@ -407,7 +556,7 @@ async function generateLyricsWithOpenRouter(stories) {
   ].join('\n');
 
   console.log("get lyrics success")
-  return enforcePromptLimit(fallback);
+  return { lyrics: fitLyrics(fallback, maxChars), style: lyricStyle.id, promptVersion: null };
 }
 
 function scoreSimilarity(a, b) {
@@ -445,9 +594,14 @@ function buildFallbackHostScript(story, index) {
     .join(' ');
 }
 
+// Stories covered by the most outlets first; the sort is stable so ties keep feed order.
+function rankStoriesByCoverage(stories) {
+  return [...stories].sort((a, b) => (Number(b?.sourceCount) || 1) - (Number(a?.sourceCount) || 1));
+}
+
 function buildFallbackPodcastPlan(stories) {
   const sanitized = Array.isArray(stories) ? stories.filter((story) => story?.headline) : [];
-  const picks = sanitized.slice(0, 3);
+  const picks = rankStoriesByCoverage(sanitized).slice(0, 3);
 
   const headlineList = picks.map((story) => story.headline).filter(Boolean);
   const overviewScript = headlineList.length
@@ -467,247 +621,296 @@ function buildFallbackPodcastPlan(stories) {
   return { overviewScript, selections };
 }
 
-async function planPodcastWithOpenRouter(stories) {
-  if (!stories?.length) throw new Error('At least one story is required to plan a podcast.');
-  console.log("getting podcast plan");
-  const digest = formatStoriesForModel(stories);
-  const system = [
-    'You are a podcast host crafting an energetic but concise script about the news.',
-    'Pick exactly three distinct headlines from the provided list to explore in-depth.',
-    'Write a short overview script that mentions the breadth of headlines before you dive deeper.',
-    'For each chosen headline, propose a tight, spoken-word script (no narration notes, no stage directions).',
-    'Keep everything friendly, vivid, and under 1200 words total. Return pure JSON.',
-  ].join(' ');
-
-  const user = [
-    'Create a JSON object describing a podcast episode with these keys:',
-    'overview_script: spoken narration that tees up the whole news set.',
-    'selections: array of exactly three objects with {headline, source, reason, host_script}.',
-    'Each selected headline must appear exactly as given. host_script should be 100-200 words.',
-    'Make sure overview_script is 160-260 words and references multiple headlines.',
-    '',
-    'Headlines:',
-    digest,
-  ].join('\n');
+// Which path produced a podcast plan; returned to the client as `planReason`.
+const PLAN_REASONS = {
+  MODEL: 'model',
+  REPAIRED: 'repaired',
+  FALLBACK_NO_REPLY: 'fallback_no_reply',
+  FALLBACK_INVALID: 'fallback_invalid',
+};
 
-  const messages = [
-    { role: 'system', content: system },
-    { role: 'user', content: user },
-  ];
+const PLAN_HEADLINE_SIMILARITY = 0.35;
 
-  let raw = '';
-  let lastError;
-  for (const model of LYRIC_MODELS) {
-    console.log("trying model:", model);
-    try {
-      raw = await callOpenRouterWithRetries({ model, messages, attempts: 1 });
-      break;
-    } catch (e) {
-      lastError = e;
-      if (e?.status && [401, 403].includes(e.status)) {
-        const authError = new Error('OpenRouter authentication failed.');
-        authError.status = e.status;
-        throw authError;
+// Checks a planner reply against the schema, then maps each chosen headline onto the
+// closest offered story. Returns { plan, errors }; plan is null when anything is wrong.
+function validatePodcastPlan(raw, stories) {
+  const parsed = extractJsonFromString(raw);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { plan: null, errors: ['$ must be a single JSON object with no surrounding text'] };
+  }
+
+  const errors = validateSchema(parsed, PODCAST_PLAN_SCHEMA);
+  if (errors.length) return { plan: null, errors };
+
+  const selections = [];
+  parsed.selections.forEach((entry, index) => {
+    const key = normalizeHeadlineKey(entry.headline);
+    let best = null;
+    let bestScore = 0;
+
+    for (const story of stories) {
+      const score = scoreSimilarity(key, normalizeHeadlineKey(story.headline));
+      if (score > bestScore) {
+        bestScore = score;
+        best = story;
       }
-      continue;
     }
-  }
 
-  if (!raw) {
-    if (lastError?.status && [401, 403].includes(lastError.status)) {
+    if (bestScore < PLAN_HEADLINE_SIMILARITY) {
+      errors.push(`$.selections[${index}].headline "${entry.headline.trim()}" is not one of the listed headlines`);
+    } else if (selections.some((selection) => selection.headline === best.headline)) {
+      errors.push(`$.selections[${index}].headline repeats an earlier selection`);
+    } else {
+      selections.push({
+        headline: best.headline,
+        source: entry.source.trim(),
+        reason: entry.reason.trim(),
+        host_script: entry.host_script.trim(),
+      });
+    }
+  });
+
+  if (errors.length) return { plan: null, errors };
+  return { plan: { overviewScript: parsed.overview_script.trim(), selections }, errors: [] };
+}
+
+async function planPodcastWithOpenRouter(stories, language) {
+  if (!stories?.length) throw new Error('At least one story is required to plan a podcast.');
+  console.log("getting podcast plan");
+  const { messages } = renderPrompt('podcastPlan', {
+    digest: formatStoriesForModel(stories),
+    languageName: describeLanguage(language),
+  });
+
+  let reply;
+  try {
+    reply = await runLlmTask('podcastPlan', messages, { responseFormat: PODCAST_PLAN_RESPONSE_FORMAT });
+  } catch (e) {
+    if (e?.status && [401, 403].includes(e.status)) {
       const failure = new Error('OpenRouter authentication failed.');
-      failure.status = lastError.status;
+      failure.status = e.status;
       throw failure;
     }
     console.warn('OpenRouter request failed for all models, using fallback plan.');
-    return buildFallbackPodcastPlan(stories);
+    return { ...buildFallbackPodcastPlan(stories), reason: PLAN_REASONS.FALLBACK_NO_REPLY };
   }
-  const parsed = extractJsonFromString(raw);
 
-  if (!parsed || typeof parsed !== 'object') {
-    console.warn('Podcast planner did not return JSON, using fallback plan.');
-    return buildFallbackPodcastPlan(stories);
+  const first = validatePodcastPlan(reply.text, stories);
+  if (first.plan) {
+    return { ...first.plan, reason: PLAN_REASONS.MODEL };
   }
 
-  const overviewScript = typeof parsed.overview_script === 'string'
-    ? parsed.overview_script.trim()
-    : '';
-
-  const selections = Array.isArray(parsed.selections) ? parsed.selections : [];
-  const normalized = selections
-    .map((entry) => {
-      const headline = typeof entry?.headline === 'string' ? entry.headline.trim() : '';
-      if (!headline) return null;
-      return {
-        headline,
-        source: typeof entry?.source === 'string' ? entry.source.trim() : '',
-        reason: typeof entry?.reason === 'string' ? entry.reason.trim() : '',
-        host_script: typeof entry?.host_script === 'string' ? entry.host_script.trim() : '',
-      };
-    })
-    .filter(Boolean)
-    .slice(0, 3);
-
-  const storyKeyMap = new Map(stories.map((story) => [
-    normalizeHeadlineKey(story.headline),
-    story.headline
-  ]));
-
-  const filtered = normalized
-    .map((sel) => {
-      const key = normalizeHeadlineKey(sel.headline);
-
-      let best = null;
-      let bestScore = 0;
-
-      for (const story of stories) {
-        const storyKey = normalizeHeadlineKey(story.headline);
-        const score = scoreSimilarity(key, storyKey);
-        if (score > bestScore) {
-          bestScore = score;
-          best = story;
-        }
-      }
-
-      const THRESHOLD = 0.35;
-      return bestScore >= THRESHOLD
-        ? { ...sel, headline: best.headline }
-        : null;
-    })
-    .filter(Boolean);
-
+  // One repair round: show the model its reply and exactly what was wrong with it.
+  console.warn('Podcast plan failed validation, asking for a repair:', first.errors.join('; '));
+  const repairMessages = [
+    ...messages,
+    { role: 'assistant', content: reply.text },
+    ...renderPrompt('podcastPlanRepair', {
+      errors: first.errors.map((error) => `- ${error}`).join('\n'),
+    }).messages,
+  ];
 
-  if (!overviewScript || filtered.length !== 3) {
-    console.warn('Podcast planner returned an incomplete plan, using fallback plan.');
-    return buildFallbackPodcastPlan(stories);
+  try {
+    const repaired = await runLlmTask('podcastPlan', repairMessages, { responseFormat: PODCAST_PLAN_RESPONSE_FORMAT });
+    const second = validatePodcastPlan(repaired.text, stories);
+    if (second.plan) {
+      return { ...second.plan, reason: PLAN_REASONS.REPAIRED };
+    }
+    console.warn('Repaired podcast plan still failed validation:', second.errors.join('; '));
+  } catch (e) {
+    console.warn('Podcast plan repair request failed:', e.message);
   }
 
-  return { overviewScript, selections: filtered };
+  console.warn('Podcast planner returned an invalid plan, using fallback plan.');
+  return { ...buildFallbackPodcastPlan(stories), reason: PLAN_REASONS.FALLBACK_INVALID };
 }
 
-async function writeDeepDiveScript({ headline, source, articleText }) {
+async function writeDeepDiveScript({ headline, source, articleText, language }) {
   console.log("getting deep dive for", headline);
   if (!articleText) throw new Error('Full article text is required for a deep dive script.');
 
   const truncated = articleText.length > 16000 ? `${articleText.slice(0, 16000)}…` : articleText;
-  const system = [
-    'Write an engaging, conversational script that summarizes the full article for listeners.',
-    'Keep it punchy, spoken aloud ready, 130-230 words, no bullet lists, no stage directions.',
-  ].join(' ');
-
-  const user = [
-    `Headline: ${headline || 'Unknown headline'}`,
-    source ? `Source: ${source}` : '',
-    '',
-    'Full article content:',
-    truncated,
-  ].filter(Boolean).join('\n');
-
-  const messages = [
-    { role: 'system', content: system },
-    { role: 'user', content: user },
-  ];
+  const { messages } = renderPrompt('deepDive', {
+    headline: headline || 'Unknown headline',
+    source,
+    article: truncated,
+    languageName: describeLanguage(language),
+  });
 
-  const raw = await callOpenRouterWithRetries({ model: PODCAST_PLANNER_MODEL, messages, attempts: 1 });
+  const { text: raw } = await runLlmTask('deepDive', messages);
   return enforcePromptLimit(raw);
 }
 
-async function createSunoTaskFromScript({ articleTxt, headline, source, tags }) {
+// An `instrumental` mode makes a music bed to play under the narration, so no lyrics are
+// written for it.
+async function createSunoTaskFromScript({ articleTxt, headline, source, tags, language, mode = 'vocal' }) {
   console.log("getting suno song for", headline);
+  const missingMusicProvider = describeMissingMusicProvider();
+  if (missingMusicProvider) throw new Error(missingMusicProvider);
+
+  if (mode === 'instrumental') {
+    const title = String(headline || '').slice(0, 80);
+    const { taskIds, clipIds } = await createMusicTask({ prompt: '', tags, mode, title });
+    return { taskIds, clipIds, factCheck: null, promptVersion: null };
+  }
+
   let lyrics;
+  let factCheck;
+  let promptVersion;
   try {
-    lyrics = await summarizeArticleWithOpenRouter({
+    ({ lyrics, factCheck, promptVersion } = await writeCheckedLyrics({
       headline,
       source,
       articleText: articleTxt,
-    });
+      language,
+    }));
   } catch (error) {
     console.error('Unable to summarise article with OpenRouter:', error);
     return null;
   }
 
-  const sunoApiKey = process.env.suno_api || process.env.SUNO_API || process.env.SUNO_API_KEY;
-  if (!sunoApiKey) throw new Error('Suno API key is not configured.');
+  const { taskIds, clipIds } = await createMusicTask({ prompt: lyrics, tags });
+  return { taskIds, clipIds, factCheck, promptVersion };
+}
 
-  const sunoPayload = {
-    task_type: 'create_music',
-    custom_mode: true,
-    prompt: lyrics,
-    make_instrumental: false,
-    mv: 'sonic-v4-5',
-  };
+app.get('/api/lyric-styles', (_req, res) => {
+  try {
+    res.json({ styles: listLyricStyles(), defaultStyle: resolveLyricStyle('') });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-  if (tags) sunoPayload.tags = tags;
+app.get('/api/music-options', (_req, res) => {
+  try {
+    res.json(listMusicOptions());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  const resp = await fetch(`${SONIC_API_BASE_URL}/create`, {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${sunoApiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify(sunoPayload),
-  });
+app.get('/api/languages', (_req, res) => {
+  res.json({ languages: listLanguages() });
+});
 
-  const raw = await resp.text();
-  if (!resp.ok) {
-    let details; try { details = JSON.parse(raw); } catch { details = raw; }
-    const err = new Error('Suno create failed');
-    err.details = details;
+// Validates the options shared by /api/generate-song and song jobs. An explicit language
+// is checked up front; otherwise `language` is null and is taken from the article later.
+// `lyrics` replaces the written lyrics (extend and cover usually pass the original song's),
+// and extend/cover modes need the `clipId`, or at least the `taskId`, of the song to start from.
+function parseSongOptions(body = {}) {
+  const tags = typeof body.tags === 'string'
+    ? body.tags
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .join(', ')
+    : '';
+  const music = resolveMusicOptions(body);
+  const clipId = typeof body.clipId === 'string' ? body.clipId.trim() : '';
+  const sourceTaskId = typeof body.taskId === 'string' ? body.taskId.trim() : '';
+  if (music.needsSourceClip && !clipId && !sourceTaskId) {
+    const err = new Error(`A ${music.mode} needs the clipId or taskId of the song to start from.`);
+    err.status = 400;
     throw err;
   }
-
-  let data; try { data = JSON.parse(raw); } catch { data = raw; }
-  console.log('[Sonic create] raw response (podcast):', typeof data === 'object' ? JSON.stringify(data).slice(0, 500) : String(data).slice(0, 500));
-  const toArray = (v) => (Array.isArray(v) ? v : (v ? [v] : []));
-  const list = Array.isArray(data?.data)
-    ? data.data
-    : (data?.data && typeof data.data === 'object' ? [data.data] : (data?.task_id ? [{ task_id: data.task_id }] : toArray(data)));
-
-  const taskIds = [];
-  const clipIds = [];
-  for (const item of list) {
-    if (!item || typeof item !== 'object') continue;
-    if (item.task_id) taskIds.push(item.task_id);
-    if (item.id && !item.clip_id && !item.song_id) taskIds.push(item.id);
-    if (item.clip_id) clipIds.push(item.clip_id);
-    if (item.song_id) clipIds.push(item.song_id);
+  const lyrics = music.mode === 'instrumental' || typeof body.lyrics !== 'string' ? '' : body.lyrics.trim();
+  // New lyrics for an extend come from its article; headline-digest spins have none, and
+  // lyrics from today's headlines would not continue the song.
+  if (music.mode === 'extend' && !lyrics && !(typeof body.url === 'string' && body.url.trim())) {
+    const err = new Error('An extend needs the lyrics of the song it continues, or the url of its article.');
+    err.status = 400;
+    throw err;
   }
+  return {
+    style: resolveLyricStyle(body.style),
+    structure: parseStructure(body.structure),
+    language: body.language ? resolveLanguage(body.language) : null,
+    tags,
+    mode: music.mode,
+    model: music.model,
+    title: music.title,
+    continueAt: music.continueAt,
+    clipId: music.needsSourceClip ? clipId : '',
+    sourceTaskId: music.needsSourceClip ? sourceTaskId : '',
+    lyrics,
+  };
+}
 
-  const uniqueTaskIds = [...new Set(taskIds)];
-  const uniqueClipIds = [...new Set(clipIds)];
-  console.log('[Sonic create] parsed ids (podcast):', { taskIds: uniqueTaskIds, clipIds: uniqueClipIds });
-  return { taskIds: uniqueTaskIds, clipIds: uniqueClipIds };
+// The clip an extend or cover starts from: the given clip id, else the first finished clip
+// of the given task.
+async function resolveSourceClipId({ clipId, sourceTaskId }) {
+  if (clipId || !sourceTaskId) return clipId || '';
+  const rows = await fetchMusicClips({ taskIds: [sourceTaskId] });
+  const clip = rows.find((row) => row.clip_id && row.audio_url);
+  if (!clip) {
+    const err = new Error(`No finished clip was found for task ${sourceTaskId}.`);
+    err.status = 404;
+    throw err;
+  }
+  return clip.clip_id;
 }
 
 // POST /api/generate-song
 app.post('/api/generate-song', async (req, res) => {
-  const sunoApiKey = process.env.suno_api || process.env.SUNO_API || process.env.SUNO_API_KEY;
-  if (!sunoApiKey) return res.status(500).json({ error: 'Suno API key is not configured.' });
+  const missingMusicProvider = describeMissingMusicProvider();
+  if (missingMusicProvider) return res.status(500).json({ error: missingMusicProvider });
 
-  if (!process.env.OPEN_ROUTER_KEY) {
-    return res.status(500).json({ error: 'OpenRouter API key is not configured.' });
-  }
+  const { url, headline, source } = req.body || {};
 
-  const { url, headline, source, tags } = req.body || {};
-
-  const normalizedTags = typeof tags === 'string'
-    ? tags
-        .split(',')
-        .map((entry) => entry.trim())
-        .filter(Boolean)
-        .join(', ')
-    : '';
+  let options;
+  try {
+    options = parseSongOptions(req.body);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+  const { style, structure, tags: normalizedTags, mode, model, title } = options;
+  let { language } = options;
+  // Instrumentals need no lyrics, and supplied lyrics are used as they are, so neither
+  // needs the article.
+  const writeLyrics = mode !== 'instrumental' && !options.lyrics;
+
+  const missingProvider = writeLyrics ? describeMissingProvider('lyrics') : '';
+  if (missingProvider) {
+    return res.status(500).json({ error: missingProvider });
+  }
 
   let preparedLyrics = '';
-
-  if (url) {
+  let promptVersion = null;
+  let factCheck = null;
+  let articleMetadata = null;
+  let articleHash = '';
+
+  if (!writeLyrics) {
+    language = language || resolveLanguage('', { text: options.lyrics });
+  } else if (url) {
     let articleText;
     try {
-      articleText = await fetchArticleContent(url);
+      const article = await loadArticle(url, ARTICLE_FETCH_OPTIONS);
+      if (article.confidence < MIN_ARTICLE_CONFIDENCE) {
+        return res.status(422).json({
+          error: 'The article text could not be extracted reliably enough to write lyrics.',
+          confidence: article.confidence,
+        });
+      }
+      articleText = article.content;
+      articleMetadata = article.metadata || null;
+      articleHash = article.hash || '';
+      language = language || resolveLanguage('', { declared: articleMetadata?.language, text: articleText });
     } catch (error) {
       console.error('Unable to fetch full article content:', error);
-      return res.status(502).json({ error: 'Unable to retrieve the full article for the selected headline.', details: error.message });
+      const status = error.status >= 400 && error.status < 500 ? error.status : 502;
+      return res.status(status).json({ error: 'Unable to retrieve the full article for the selected headline.', details: error.message });
     }
 
     try {
-      preparedLyrics = await summarizeArticleWithOpenRouter({ headline, source, articleText });
+      ({ lyrics: preparedLyrics, promptVersion, factCheck } = await writeCheckedLyrics({
+        headline,
+        source,
+        articleText,
+        style,
+        language,
+        structure,
+      }));
     } catch (error) {
       console.error('Unable to summarise article with OpenRouter:', error);
       return res.status(502).json({ error: 'Unable to summarise the article with OpenRouter.', details: error.message });
@@ -715,76 +918,266 @@ app.post('/api/generate-song', async (req, res) => {
   } else {
     const stories = await fetchTopNews(5);
     if (!stories.length) return res.status(503).json({ error: 'No news headlines are available right now.' });
+    language = language || resolveLanguage('', { text: stories.map((story) => story.headline).join('. ') });
 
     try {
-      preparedLyrics = await generateLyricsWithOpenRouter(stories);
+      ({ lyrics: preparedLyrics, promptVersion } = await generateLyricsWithOpenRouter(stories, style, language, structure));
     } catch (error) {
       console.error('Unable to create lyrics with OpenRouter:', error);
       return res.status(502).json({ error: 'Unable to create lyrics from OpenRouter.', details: error.message });
     }
   }
 
-  const prompt = enforcePromptLimit(preparedLyrics);
+  let prompt;
+  try {
+    prompt = mode === 'instrumental' ? '' : (options.lyrics ? checkSuppliedLyrics(options.lyrics, language) : fitLyrics(preparedLyrics, language.maxChars));
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
 
-  const sunoPayload = {
-    task_type: 'create_music',
-    custom_mode: true,
-    prompt: prompt,
-    make_instrumental: false,
-    mv: 'sonic-v4-5',
-  };
+  let created;
+  try {
+    const clipId = await resolveSourceClipId(options);
+    created = await createMusicTask({ prompt, tags: normalizedTags, mode, model, title, clipId, continueAt: options.continueAt });
+  } catch (error) {
+    return res.status(error.status || 502).json({ error: 'Suno create failed', details: error.details ?? error.message, promptLen: prompt.length });
+  }
+  const { taskIds, clipIds, raw } = created;
 
-  if (normalizedTags) {
-    sunoPayload.tags = normalizedTags;
+  // If we got nothing, return the raw body to debug quickly
+  if (!taskIds.length && !clipIds.length) {
+    return res.status(202).json({
+      task_ids: [], clip_ids: [], raw, prompt, summary: prompt, tags: normalizedTags, article: articleMetadata, articleHash, factCheck, style, promptVersion, language: language.code,
+      structure: formatStructure(structure), mode, model, title,
+    });
   }
 
-  const resp = await fetch(`${SONIC_API_BASE_URL}/create`, {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${sunoApiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify(sunoPayload),
+  return res.status(202).json({
+    task_ids: taskIds, clip_ids: clipIds, prompt, summary: prompt, tags: normalizedTags, article: articleMetadata, articleHash, factCheck, style, promptVersion, language: language.code,
+    structure: formatStructure(structure), mode, model, title,
   });
+});
+
+const SONG_JOB_POLL_MS = 10000;
+const SONG_ARCHIVE_ATTEMPTS = 3;
 
-  const raw = await resp.text();
-  if (!resp.ok) {
-    let details; try { details = JSON.parse(raw); } catch { details = raw; }
-    return res.status(resp.status).json({ error: 'Suno create failed', details, promptLen: prompt.length });
+function createStepError(message, status) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  return err;
+}
+
+// Supplied lyrics (usually an earlier spin's, for a cover or extend) are sent exactly as
+// given: only written lyrics are tagged and trimmed to fit, so too-long ones are refused.
+function checkSuppliedLyrics(lyrics, language) {
+  if (lyrics.length > language.maxChars) {
+    throw createStepError(`The lyrics are ${lyrics.length} characters; ${language.name} lyrics can be at most ${language.maxChars}.`, 400);
   }
+  return lyrics;
+}
 
-  let data; try { data = JSON.parse(raw); } catch { data = raw; }
-  console.log('[Sonic create] raw response (generate-song):', typeof data === 'object' ? JSON.stringify(data).slice(0, 500) : String(data).slice(0, 500));
+// Song jobs run the /api/generate-song pipeline and then the polling the browser used to
+// do, so a song is finished and its final audio URL recorded even if the tab is closed.
+// Each step's output is merged into job.result under the same keys /api/generate-song
+// responds with, plus `clip` (the first playable clip) and `finalClip`.
+const SONG_CREATE_STEPS = [
+  {
+    name: 'fetch_article',
+    async run(input) {
+      if (input.mode === 'instrumental' || input.lyrics) {
+        return { language: input.language || resolveLanguage('', { text: input.lyrics }).code };
+      }
+      if (!input.url) {
+        const stories = await fetchTopNews(5);
+        if (!stories.length) throw createStepError('No news headlines are available right now.', 503);
+        const language = input.language || resolveLanguage('', { text: stories.map((story) => story.headline).join('. ') }).code;
+        return { stories, language };
+      }
 
-  // Normalize IDs from various possible shapes
-  const toArray = (v) => (Array.isArray(v) ? v : (v ? [v] : []));
-  const list = Array.isArray(data?.data)
-    ? data.data
-    : (data?.data && typeof data.data === 'object' ? [data.data] : (data?.task_id ? [{ task_id: data.task_id }] : toArray(data)));
+      const article = await loadArticle(input.url, ARTICLE_FETCH_OPTIONS);
+      if (article.confidence < MIN_ARTICLE_CONFIDENCE) {
+        throw createStepError('The article text could not be extracted reliably enough to write lyrics.', 422);
+      }
+      const metadata = article.metadata || null;
+      return {
+        article: metadata,
+        articleHash: article.hash || '',
+        language: input.language || resolveLanguage('', { declared: metadata?.language, text: article.content }).code,
+      };
+    },
+  },
+  {
+    name: 'write_lyrics',
+    async run(input, result) {
+      const language = resolveLanguage(result.language);
+      const structure = parseStructure(input.structure);
+      let draft;
+      if (input.mode === 'instrumental' || input.lyrics) {
+        draft = { lyrics: input.lyrics, style: input.style, promptVersion: null };
+      } else if (input.url) {
+        // Served from the article store, so this does not download the page again.
+        const article = await loadArticle(input.url, ARTICLE_FETCH_OPTIONS);
+        draft = await writeCheckedLyrics({
+          headline: input.headline,
+          source: input.source,
+          articleText: article.content,
+          style: input.style,
+          language,
+          structure,
+        });
+      } else {
+        draft = await generateLyricsWithOpenRouter(result.stories, input.style, language, structure);
+      }
 
-  const taskIds = [];
-  const clipIds = [];
-  for (const item of list) {
-    if (!item || typeof item !== 'object') continue;
-    if (item.task_id) taskIds.push(item.task_id);
-    if (item.id && !item.clip_id && !item.song_id) taskIds.push(item.id); // some payloads use "id" for task
-    if (item.clip_id) clipIds.push(item.clip_id);
-    if (item.song_id) clipIds.push(item.song_id); // sometimes named differently
-  }
+      let prompt = '';
+      if (input.lyrics) prompt = checkSuppliedLyrics(input.lyrics, language);
+      else if (input.mode !== 'instrumental') prompt = fitLyrics(draft.lyrics, language.maxChars);
+      return {
+        prompt,
+        summary: prompt,
+        tags: input.tags,
+        factCheck: draft.factCheck || null,
+        style: draft.style || input.style,
+        promptVersion: draft.promptVersion,
+        structure: formatStructure(structure),
+      };
+    },
+  },
+  {
+    name: 'create_music',
+    // Retrying a create that may have reached the provider, here or after a restart, could
+    // render (and bill) the song twice.
+    maxAttempts: 1,
+    once: true,
+    async run(input, result) {
+      const { mode, model, title, continueAt } = input;
+      const clipId = await resolveSourceClipId(input);
+      const { provider, taskIds, clipIds } = await createMusicTask({
+        prompt: result.prompt,
+        tags: result.tags,
+        mode,
+        model,
+        title,
+        clipId,
+        continueAt,
+      });
+      if (!taskIds.length && !clipIds.length) {
+        throw createStepError('The music provider did not return any task or clip identifiers.', 502);
+      }
+      return { provider, task_ids: taskIds, clip_ids: clipIds, mode, model, title };
+    },
+  },
+];
 
-  // If we got nothing, return the raw body to debug quickly
-  const uniqueTaskIds = [...new Set(taskIds)];
-  const uniqueClipIds = [...new Set(clipIds)];
-  console.log('[Sonic create] parsed ids (generate-song):', { taskIds: uniqueTaskIds, clipIds: uniqueClipIds });
+const SONG_TRACKING_STEPS = [
+  {
+    name: 'poll_music',
+    timeoutMs: 5 * 60 * 1000,
+    async run(input, result) {
+      const rows = await fetchMusicClips({ taskIds: result.task_ids, clipIds: result.clip_ids });
+      const clip = rows.find((row) => row.audio_url);
+      if (clip) return { clip };
+      if (summarizeState(rows) === 'failed') throw createStepError('The music provider reported that the song failed.', 502);
+      return waitFor(SONG_JOB_POLL_MS);
+    },
+  },
+  {
+    // Streaming URLs on audiopipe stop working once the song is rendered, so wait for a
+    // final clip on its permanent host. If that takes too long, a final clip still on the
+    // streaming host is migrated, and failing that the streaming clip is kept.
+    name: 'finalize',
+    timeoutMs: 4 * 60 * 1000,
+    async run(input, result) {
+      const rows = await fetchMusicClips({ taskIds: result.task_ids, clipIds: result.clip_ids });
+      const finalClip = rows.find((row) => (
+        row.audio_url
+        && isFinalMusicState(row.state)
+        && normalizeSunoAudioUrl(row.audio_url, { migrateHost: true }) === row.audio_url
+      ));
+      return finalClip ? { finalClip } : waitFor(SONG_JOB_POLL_MS);
+    },
+    async onTimeout(input, result) {
+      const rows = await fetchMusicClips({ taskIds: result.task_ids, clipIds: result.clip_ids }).catch(() => []);
+      const finalClip = rows.find((row) => row.audio_url && isFinalMusicState(row.state));
+      if (!finalClip) return { finalClip: result.clip };
+      return { finalClip: { ...finalClip, audio_url: normalizeSunoAudioUrl(finalClip.audio_url, { migrateHost: true }) } };
+    },
+  },
+  {
+    // Swaps the provider's URL for the archived copy. Archiving is best effort: when the
+    // last attempt fails the job still completes, with the provider's URL.
+    name: 'archive_audio',
+    maxAttempts: SONG_ARCHIVE_ATTEMPTS,
+    async run(input, result, job) {
+      const clip = result.finalClip;
+      if (!isArchiveEnabled() || !clip?.audio_url || !isFinalMusicState(clip.state)) return {};
+      try {
+        const record = await archiveClip(clip);
+        return { finalClip: { ...clip, audio_url: record.url, source_audio_url: clip.audio_url } };
+      } catch (error) {
+        const clientError = error.status >= 400 && error.status < 500;
+        if (!clientError && job.attempts + 1 < SONG_ARCHIVE_ATTEMPTS) throw error;
+        console.warn(`Unable to archive the audio for job ${job.id}, keeping the provider URL:`, error.message);
+        return { archiveError: error.message };
+      }
+    },
+  },
+];
+
+defineJobType('song', [...SONG_CREATE_STEPS, ...SONG_TRACKING_STEPS]);
+// Podcast songs are created along with the episode; these jobs take over from there, so
+// they are finished and archived on the server like any other song.
+defineJobType('song_tracking', SONG_TRACKING_STEPS);
+
+// POST /api/jobs
+app.post('/api/jobs', async (req, res) => {
+  const type = req.body?.type || 'song';
+  if (type !== 'song') return res.status(400).json({ error: `Unknown job type "${type}".` });
 
-  if (!uniqueTaskIds.length && !uniqueClipIds.length) {
-    return res.status(202).json({ task_ids: [], clip_ids: [], raw: data, prompt, summary: prompt, tags: normalizedTags });
+  const missingMusicProvider = describeMissingMusicProvider();
+  if (missingMusicProvider) return res.status(500).json({ error: missingMusicProvider });
+
+  let options;
+  try {
+    options = parseSongOptions(req.body);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
   }
+  const missingProvider = options.mode !== 'instrumental' && !options.lyrics ? describeMissingProvider('lyrics') : '';
+  if (missingProvider) return res.status(500).json({ error: missingProvider });
+
+  const { url, headline, source } = req.body || {};
+  const job = createJob('song', {
+    url: typeof url === 'string' ? url.trim() : '',
+    headline: typeof headline === 'string' ? headline : '',
+    source: typeof source === 'string' ? source : '',
+    tags: options.tags,
+    style: options.style,
+    structure: formatStructure(options.structure),
+    language: options.language?.code || null,
+    mode: options.mode,
+    model: options.model,
+    title: options.title,
+    continueAt: options.continueAt,
+    clipId: options.clipId,
+    sourceTaskId: options.sourceTaskId,
+    lyrics: options.lyrics,
+  });
+  return res.status(202).location(`/api/jobs/${job.id}`).json(job);
+});
 
-  return res.status(202).json({ task_ids: uniqueTaskIds, clip_ids: uniqueClipIds, prompt, summary: prompt, tags: normalizedTags });
+// GET /api/jobs/:id
+app.get('/api/jobs/:id', async (req, res) => {
+  const job = await getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found.' });
+  return res.json(job);
 });
 
 // POST /api/generate-podcast
 app.post('/api/generate-podcast', async (req, res) => {
-  if (!process.env.OPEN_ROUTER_KEY) {
-    return res.status(500).json({ error: 'OpenRouter API key is not configured.' });
+  const missingProvider = describeMissingProvider('podcastPlan');
+  if (missingProvider) {
+    return res.status(500).json({ error: missingProvider });
   }
 
   const stories = Array.isArray(req.body?.stories) ? req.body.stories : [];
@@ -795,8 +1188,25 @@ app.post('/api/generate-podcast', async (req, res) => {
   const phase = (req.query.phase || 'full').toLowerCase(); // 'plan' | 'full'
   const tags = typeof req.body?.tags === 'string' ? req.body.tags.trim() : '';
 
+  // Without an explicit language the episode follows the language most headlines are in.
+  // songMode `instrumental` gives each story a music bed for under the narration instead
+  // of a song.
+  let language;
+  let songMode;
+  try {
+    language = resolveLanguage(req.body?.language, {
+      text: stories.map((story) => [story.headline, story.summary].filter(Boolean).join('. ')).join('\n'),
+    });
+    ({ mode: songMode } = resolveMusicOptions({ mode: req.body?.songMode }));
+    if (!['vocal', 'instrumental'].includes(songMode)) {
+      return res.status(400).json({ error: 'Podcast songs can only be vocal or instrumental.' });
+    }
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
   try {
-    const plan = await planPodcastWithOpenRouter(stories);
+    const plan = await planPodcastWithOpenRouter(stories, language);
 
     const storyLookup = new Map(stories.map((s) => [normalizeHeadlineKey(s.headline), s]));
     const selectedStories = plan.selections.map((sel) => {
@@ -830,12 +1240,15 @@ app.post('/api/generate-podcast', async (req, res) => {
         songPrompt: '',
         songTaskIds: [],
         songClipIds: [],
+        songMode,
         tags,
       }));
 
       return res.json({
         overviewScript: plan.overviewScript,
         selections,
+        planReason: plan.reason,
+        language: language.code,
         createdAtIso: new Date().toISOString(),
       });
     }
@@ -845,8 +1258,15 @@ app.post('/api/generate-podcast', async (req, res) => {
     const deepDiveScripts = [];
     for (const story of selectedStories) {
       let articleText = '';
+      let articleHash = '';
       try {
-        articleText = await fetchArticleContent(story.link);
+        const article = await loadArticle(story.link, ARTICLE_FETCH_OPTIONS);
+        if (article.confidence >= MIN_ARTICLE_CONFIDENCE) {
+          articleText = article.content;
+          articleHash = article.hash || '';
+        } else {
+          console.warn(`Skipping low-confidence article extraction (${article.confidence}) for podcast deep dive:`, story.link);
+        }
       } catch (error) {
         console.warn('Unable to fetch article for podcast deep dive:', error.message);
       }
@@ -854,7 +1274,12 @@ app.post('/api/generate-podcast', async (req, res) => {
       let deepScript = story.host_script || '';
       if (articleText) {
         try {
-          deepScript = await writeDeepDiveScript({ headline: story.headline, source: story.source, articleText });
+          deepScript = await writeDeepDiveScript({
+            headline: story.headline,
+            source: story.source,
+            articleText,
+            language,
+          });
         } catch (error) {
           console.warn('Unable to write deep dive script:', error.message);
           deepScript = story.host_script || buildFallbackHostScript(story, deepDiveScripts.length);
@@ -865,6 +1290,7 @@ app.post('/api/generate-podcast', async (req, res) => {
         headline: story.headline,
         script: deepScript,
         articleContent: articleText,
+        articleHash,
         source: story.source,
       });
     }
@@ -875,7 +1301,7 @@ app.post('/api/generate-podcast', async (req, res) => {
       const deep = deepDiveScripts.find((entry) => entry.headline === story.headline) || {};
       const prompt = [
         'Create a short, melodic track inspired by this news story for a podcast music bed.',
-        'Keep it modern and catchy. Lyrics should echo key details and stay under 900 characters.',
+        `Keep it modern and catchy. Lyrics should echo key details and stay under ${Math.round(900 * languageLengthScale(language))} characters.`,
         deep.script || story.host_script,
       ]
         .filter(Boolean)
@@ -892,11 +1318,17 @@ app.post('/api/generate-podcast', async (req, res) => {
           headline: hdline,
           source: src,
           tags,
+          language,
+          mode: songMode,
         });
       } catch (error) {
         console.warn('Unable to create Suno task for podcast:', error.message);
       }
 
+      const songJob = tasks && (tasks.taskIds.length || tasks.clipIds.length)
+        ? createJob('song_tracking', { mode: songMode, tags }, { task_ids: tasks.taskIds, clip_ids: tasks.clipIds, mode: songMode })
+        : null;
+
       selections.push({
         headline: story.headline,
         source: story.source || '',
@@ -906,9 +1338,14 @@ app.post('/api/generate-podcast', async (req, res) => {
         overviewScript: story.host_script || '',
         deepDiveScript: deep.script || story.host_script || '',
         articleContent: deep.articleContent || '',
+        articleHash: deep.articleHash || '',
         songPrompt: prompt,
         songTaskIds: tasks?.taskIds || [],
         songClipIds: tasks?.clipIds || [],
+        songJobId: songJob?.id || '',
+        factCheck: tasks?.factCheck || null,
+        promptVersion: tasks?.promptVersion || null,
+        songMode,
         tags,
       });
     }
@@ -916,6 +1353,8 @@ app.post('/api/generate-podcast', async (req, res) => {
     res.json({
       overviewScript: plan.overviewScript,
       selections,
+      planReason: plan.reason,
+      language: language.code,
       createdAtIso: new Date().toISOString(),
     });
   } catch (error) {
@@ -957,186 +1396,219 @@ function parseIds(value) {
     .filter(Boolean);
 }
 
-function normalizeStatusPayload(body) {
-  if (!body) return { data: [] };
-
-  if (Array.isArray(body?.data)) {
-    return { data: body.data };
-  }
+function formatClipRow(r) {
+  return {
+    task_id: r.task_id,
+    clip_id: r.clip_id,
+    state: r.state,
+    title: r.title,
+    tags: r.tags,
+    lyrics: r.lyrics,
+    image_url: r.image_url,
+    audio_url: normalizeSunoAudioUrl(r.audio_url),
+    video_url: r.video_url,
+    created_at: r.created_at,
+    mv: r.mv,
+    duration: r.duration,
+  };
+}
 
-  if (Array.isArray(body)) {
-    return { data: body };
+// Clips reported by provider webhooks, by task id. A task with a finished clip here is
+// answered without asking the provider again.
+const MAX_PUSHED_TASKS = 500;
+const pushedClips = new Map();
+
+function rememberPushedClips(rows) {
+  rows.forEach((row) => {
+    if (!row.task_id) return;
+    const known = (pushedClips.get(row.task_id) || []).filter((clip) => clip.clip_id !== row.clip_id);
+    pushedClips.delete(row.task_id);
+    pushedClips.set(row.task_id, [...known, row]);
+  });
+  while (pushedClips.size > MAX_PUSHED_TASKS) {
+    pushedClips.delete(pushedClips.keys().next().value);
   }
+}
 
-  const combined = [];
-  if (Array.isArray(body?.clips)) combined.push(...body.clips);
-  if (Array.isArray(body?.tasks)) combined.push(...body.tasks);
+function getPushedTask(taskId) {
+  const clips = pushedClips.get(taskId) || [];
+  return clips.some((clip) => clip.audio_url && isFinalMusicState(clip.state)) ? clips : null;
+}
 
-  if (combined.length === 0 && typeof body === 'object') {
-    combined.push(body);
+// Clip rows for the given tasks, or for the given clips when no task IDs are known.
+// Lookups that fail for reasons other than authentication count as still pending.
+async function fetchMusicClips({ taskIds = [], clipIds = [] }) {
+  let rows = [];
+
+  if (taskIds.length) {
+    const results = await Promise.all(taskIds.map((id) => {
+      const pushed = getPushedTask(id);
+      if (pushed) return { taskId: id, state: 'complete', clips: pushed };
+      return getMusicTaskStatus(id).catch((error) => {
+        if ([401, 403].includes(error.status)) throw error;
+        console.warn('[music status] lookup failed, treating task as pending:', { taskId: id, error: error.message });
+        return { taskId: id, state: 'pending', clips: [] };
+      });
+    }));
+    rows = results.flatMap((result) => (result.clips.length ? result.clips : [{ task_id: result.taskId, state: result.state }]));
+  } else {
+    // Fallback: list recent tasks, then filter by clip_ids
+    rows = await listMusicClips();
+    if (clipIds.length) rows = rows.filter(x => clipIds.includes(x.clip_id));
   }
 
-  return { data: combined };
+  return Promise.all(rows.map(formatClipRow).map(withArchiveUrl));
 }
 
-function collectStatusCandidates(record) {
-  const out = [];
-  const push = (value) => {
-    if (!value) return;
-    if (Array.isArray(value)) {
-      value.forEach(push);
-      return;
-    }
-    if (typeof value === 'object') out.push(value);
-  };
+function isArchivableClip(row) {
+  return Boolean(row.clip_id && row.audio_url && isFinalMusicState(row.state));
+}
 
-  push(record);
-  push(record?.data);
-  push(record?.task);
-  push(record?.result);
-  push(record?.response);
-  push(record?.response?.data);
-  push(record?.response?.task);
-  push(record?.clips);
-  push(record?.tasks);
-  push(record?.songs);
-  push(record?.items);
-  push(record?.output);
-
-  return out;
+// Adds `archive_url` to finished clips that are already in the audio archive.
+async function withArchiveUrl(row) {
+  if (!isArchiveEnabled() || !isArchivableClip(row)) return row;
+  const archiveUrl = await findArchivedUrl(row.clip_id);
+  return archiveUrl ? { ...row, archive_url: archiveUrl } : row;
 }
 
-function normalizeStatusRows(rows) {
-  const normalized = [];
-
-  for (const row of rows) {
-    const candidates = collectStatusCandidates(row);
-    const baseTaskId = row?.task_id || row?.id || '';
-
-    for (const item of candidates) {
-      const taskId = item?.task_id || item?.id || baseTaskId || '';
-      const clipId = item?.clip_id || item?.song_id || item?.id || row?.clip_id || '';
-      const audioUrl = item?.audio_url || item?.audioUrl || item?.stream_url || item?.streamUrl || item?.audio?.url || '';
-      const state = item?.state || item?.status || row?.state || row?.status || '';
-
-      if (!taskId && !clipId && !audioUrl && !state) continue;
-
-      normalized.push({
-        task_id: taskId,
-        clip_id: clipId,
-        state,
-        title: item?.title || row?.title || '',
-        tags: item?.tags || row?.tags || '',
-        lyrics: item?.lyrics || row?.lyrics || '',
-        image_url: item?.image_url || item?.imageUrl || row?.image_url || '',
-        audio_url: audioUrl,
-        video_url: item?.video_url || row?.video_url || '',
-        created_at: item?.created_at || row?.created_at || '',
-        mv: item?.mv || row?.mv || '',
-        duration: item?.duration || row?.duration || undefined,
-      });
-    }
+const CLIP_DOWNLOAD_TIMEOUT_MS = 60000;
+
+// Fetches a finished clip's audio for the archive: stub clips from memory, anything else
+// over HTTPS from the same hosts /api/proxy-audio allows.
+async function downloadClipAudio(audioUrl) {
+  const stubClip = /^\/api\/music\/stub\/([^/]+)\.mp3$/.exec(audioUrl);
+  if (stubClip) {
+    const body = getStubAudio(stubClip[1]);
+    if (!body) throw createStepError('No stub audio matches that clip.', 404);
+    return { body, contentType: 'audio/mpeg' };
   }
 
-  if (!normalized.length) {
-    return rows;
+  let url;
+  try {
+    url = new URL(audioUrl);
+  } catch {
+    throw createStepError('Audio URL is invalid.', 400);
+  }
+  if (url.protocol !== 'https:' || !isAllowedAudioHost(url.hostname)) {
+    throw createStepError('Audio host is not permitted.', 403);
   }
 
-  const seen = new Set();
-  return normalized.filter((item) => {
-    const key = `${item.task_id || ''}|${item.clip_id || ''}|${item.audio_url || ''}|${item.state || ''}`;
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
+  // safeFetch checks the declared length first, stops reading at the cap and gives up
+  // after the timeout, so a slow or oversized file cannot tie up the server.
+  const upstream = await safeFetch(url.toString(), {
+    headers: { 'User-Agent': 'Daily-Spin/1.0' },
+    timeoutMs: CLIP_DOWNLOAD_TIMEOUT_MS,
+    maxBytes: MAX_ARCHIVE_BYTES,
+    allowHost: isAllowedAudioHost,
   });
+  if (!upstream.ok) {
+    throw createStepError(`Audio download failed with status ${upstream.status}.`, upstream.status === 404 ? 404 : 502);
+  }
+  return {
+    body: upstream.body,
+    contentType: upstream.headers.get('content-type') || 'audio/mpeg',
+  };
 }
 
-
-async function fetchSonicTaskById({ taskId, apiKey }) {
-  const encodedId = encodeURIComponent(taskId);
-  const candidates = [
-    `${SONIC_API_BASE_URL}/music/${encodedId}`,
-    `${SONIC_API_BASE_URL}/task/${encodedId}`,
-    `${SONIC_API_BASE_URL}/get-music/${encodedId}`,
-    `${SONIC_API_BASE_URL}/get/${encodedId}`,
-    `https://api.sunoapi.com/api/v1/suno/task/${encodedId}`,
-  ];
-
-  let last = null;
-
-  for (const url of candidates) {
-    const r = await fetch(url, {
-      headers: { Authorization: `Bearer ${apiKey}` },
-    });
-    const raw = await r.text();
-    let parsed;
-    try { parsed = JSON.parse(raw); } catch { parsed = raw; }
-
-    if (r.ok) {
-      const rows = normalizeStatusPayload(parsed).data;
-      console.log('[Sonic status] task poll success:', { taskId, endpoint: url, rows: Array.isArray(rows) ? rows.length : 0 });
-      if (rows.length === 0 && parsed?.task_id) {
-        return { ok: true, data: [{ task_id: parsed.task_id, ...parsed }] };
-      }
-      return { ok: true, data: rows };
-    }
-
-    if ([401, 403].includes(r.status)) {
-      return { ok: false, authError: true, status: r.status, details: parsed };
-    }
-
-    if ([400, 404, 422].includes(r.status)) {
-      console.log('[Sonic status] task not ready yet:', { taskId, endpoint: url, status: r.status });
-      last = { ok: false, pending: true, status: r.status, details: parsed };
-      continue;
-    }
-
-    last = { ok: false, status: r.status, details: parsed };
+// The clip id an audio URL itself names: the file name on the Suno CDN and for stub
+// clips, or audiopipe's item_id. Empty when the URL does not name one.
+function clipIdFromAudioUrl(audioUrl) {
+  let url;
+  try {
+    url = new URL(audioUrl, 'http://localhost');
+  } catch {
+    return '';
   }
-
-  return last || { ok: false, pending: true, status: 404, details: 'Task not found yet.' };
+  const id = url.searchParams.get('item_id') || path.posix.basename(url.pathname).replace(/\.[a-z0-9]+$/i, '');
+  return /^[A-Za-z0-9_-]{8,}$/.test(id) ? id : '';
 }
 
-async function fetchSonicTaskList({ apiKey }) {
-  const candidates = [
-    `${SONIC_API_BASE_URL}/task/`,
-    `${SONIC_API_BASE_URL}/music`,
-    'https://api.sunoapi.com/api/v1/suno/task/',
-  ];
+// Archives a finished clip once, keyed by its clip id. Streaming-host URLs are migrated
+// first, since audiopipe links stop working once a song is rendered.
+function archiveClip(clip) {
+  const sourceUrl = normalizeSunoAudioUrl(clip.audio_url, { migrateHost: true });
+  return archiveAudio({
+    key: clip.clip_id || sourceUrl,
+    sourceUrl,
+    load: () => downloadClipAudio(sourceUrl),
+  });
+}
 
-  let lastError = null;
+// Clips whose background archive failed recently, so repeated plays of a clip that is
+// not downloadable yet do not download it again on every request.
+const ARCHIVE_RETRY_MS = 10 * 60 * 1000;
+const MAX_ARCHIVE_FAILURES = 500;
+const archiveFailures = new Map();
+
+function archiveInBackground(clip) {
+  const key = clip.clip_id || clip.audio_url;
+  if (Date.now() - (archiveFailures.get(key) || 0) < ARCHIVE_RETRY_MS) return;
+  archiveClip(clip).catch((error) => {
+    archiveFailures.delete(key);
+    archiveFailures.set(key, Date.now());
+    if (archiveFailures.size > MAX_ARCHIVE_FAILURES) archiveFailures.delete(archiveFailures.keys().next().value);
+    console.warn(`Unable to archive clip ${key}:`, error.message);
+  });
+}
 
-  for (const url of candidates) {
-    const r = await fetch(url, {
-      headers: { Authorization: `Bearer ${apiKey}` },
-    });
-    const raw = await r.text();
-    let parsed;
-    try { parsed = JSON.parse(raw); } catch { parsed = raw; }
+// POST /api/webhooks/:provider
+// Called by the music provider as clips progress (the callback_url sent on create). The
+// shared secret comes back as ?secret= or in an X-Webhook-Secret header (see `secretIn`).
+app.post('/api/webhooks/:provider', (req, res) => {
+  const secret = req.query.secret || req.get('x-webhook-secret');
+  if (!verifyMusicWebhook(req.params.provider, secret)) {
+    return res.status(401).json({ error: 'Invalid webhook secret.' });
+  }
 
-    if (r.ok) {
-      return normalizeStatusPayload(parsed).data;
-    }
+  const rows = parseMusicWebhook(req.body).map(formatClipRow);
+  rememberPushedClips(rows);
+  // Only what a waiting page needs to know the clip is ready; it reads the rest from
+  // /api/song-status, which answers from the pushed clips.
+  rows.filter((row) => row.audio_url).forEach(({ clip_id, task_id, state, audio_url }) => publishEvent(
+    'clip',
+    { clip_id, task_id, state, audio_url },
+    [`task:${task_id}`, `clip:${clip_id}`],
+  ));
+  if (isArchiveEnabled()) rows.filter(isArchivableClip).forEach(archiveInBackground);
+
+  const taskIds = new Set(rows.map((row) => row.task_id).filter(Boolean));
+  const clipIds = new Set(rows.map((row) => row.clip_id).filter(Boolean));
+  wakeJobs((job) => (job.result.task_ids || []).some((id) => taskIds.has(id))
+    || (job.result.clip_ids || []).some((id) => clipIds.has(id)));
+
+  console.log(`[${req.params.provider} webhook] received clips:`, { count: rows.length, taskIds: [...taskIds] });
+  return res.json({ received: rows.length });
+});
 
-    if ([401, 403].includes(r.status)) {
-      const err = new Error('Suno authentication failed.');
-      err.status = r.status;
-      err.details = parsed;
-      throw err;
-    }
+// GET /api/events
+// Server-Sent Events: `clip` when a webhook reports audio for a watched task or clip, `job`
+// whenever a watched song job changes.
+app.get('/api/events', (req, res) => {
+  openEventStream(req, res, { webhooks: Boolean(getMusicWebhookUrl()) });
+});
 
-    lastError = { status: r.status, details: parsed };
-  }
+// POST /api/events/:stream/watch
+// Registers the taskIds, clipIds and jobIds a page is waiting on with its event stream.
+// 404 means the stream is not open on this server instance, so the page keeps polling.
+app.post('/api/events/:stream/watch', (req, res) => {
+  const { taskIds, clipIds, jobIds } = req.body || {};
+  const ids = (list) => (Array.isArray(list) ? list : [])
+    .filter((id) => typeof id === 'string' && id.trim())
+    .slice(0, 100);
+  const keys = [
+    ...ids(taskIds).map((id) => `task:${id.trim()}`),
+    ...ids(clipIds).map((id) => `clip:${id.trim()}`),
+    ...ids(jobIds).map((id) => `job:${id.trim()}`),
+  ];
+  if (!watchEvents(req.params.stream, keys)) return res.status(404).json({ error: 'Event stream not found.' });
+  return res.status(204).end();
+});
 
-  const err = new Error('Suno task fetch failed');
-  err.status = lastError?.status || 502;
-  err.details = lastError?.details || 'No status endpoint returned a successful response.';
-  throw err;
-}
+onJobUpdate((job) => publishEvent('job', { id: job.id, status: job.status, step: job.step }, [`job:${job.id}`]));
 
 app.get('/api/song-status', async (req, res) => {
-  const apiKey = process.env.suno_api || process.env.SUNO_API || process.env.SUNO_API_KEY;
-  if (!apiKey) return res.status(500).json({ error: 'Suno API key is not configured.' });
+  const missingMusicProvider = describeMissingMusicProvider();
+  if (missingMusicProvider) return res.status(500).json({ error: missingMusicProvider });
 
   const taskIds = parseIds(req.query.task_ids || req.query.ids);
   const clipIds = parseIds(req.query.clip_ids);
@@ -1146,58 +1618,121 @@ app.get('/api/song-status', async (req, res) => {
   }
 
   try {
-    let rows = [];
+    const rows = await fetchMusicClips({ taskIds, clipIds });
+    console.log('[music status] query/result summary:', { taskIds, clipIds, rowCount: rows.length, sample: rows[0] || null });
+    return res.json({ code: 200, data: rows, message: 'success' });
+  } catch (error) {
+    if ([401, 403].includes(error.status)) {
+      return res.status(error.status).json({ error: 'Suno authentication failed.', details: error.details });
+    }
+    return res.status(502).json({ error: 'Suno task lookup failed', details: String(error?.message || error) });
+  }
+});
 
-    if (taskIds.length) {
-      const results = await Promise.all(taskIds.map(async (id) => {
-        const result = await fetchSonicTaskById({ taskId: id, apiKey });
-        return { id, ...result };
-      }));
+// Silent audio for songs made by the offline stub music provider.
+app.get('/api/music/stub/:clip.mp3', (req, res) => {
+  const audio = getStubAudio(req.params.clip);
+  if (!audio) return res.status(404).json({ error: 'No stub audio matches that clip.' });
+  res.set('Content-Type', 'audio/mpeg');
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.send(audio);
+});
 
-      const authFailure = results.find((r) => r.authError);
-      if (authFailure) {
-        return res.status(authFailure.status).json({
-          error: 'Suno authentication failed.',
-          details: authFailure.details,
-        });
-      }
 
-      const completedRows = normalizeStatusRows(results.flatMap((r) => (r.ok ? r.data : [])));
-      const pendingRows = results
-        .filter((r) => !r.ok && r.pending)
-        .map((r) => ({ task_id: r.id, state: 'pending' }));
+// POST /api/audio/archive
+// Archives a finished clip and returns its /api/audio URL. Takes the clip's taskId and/or
+// clipId; saved spins from before the archive, whose tasks may no longer be listed, can
+// also send the audio `url` they were saved with.
+app.post('/api/audio/archive', async (req, res) => {
+  if (!isArchiveEnabled()) return res.status(503).json({ error: 'The audio archive is turned off.' });
 
-      rows = [...completedRows, ...pendingRows];
-    } else {
-      // Fallback: list recent tasks, then filter by clip_ids
-      rows = normalizeStatusRows(await fetchSonicTaskList({ apiKey }));
-      if (clipIds.length) rows = rows.filter(x => clipIds.includes(x.clip_id));
+  const { taskId, clipId, url } = req.body || {};
+  const taskIds = typeof taskId === 'string' && taskId.trim() ? [taskId.trim()] : [];
+  const clipIds = typeof clipId === 'string' && clipId.trim() ? [clipId.trim()] : [];
+  const audioUrl = typeof url === 'string' ? url.trim() : '';
+  if (!taskIds.length && !clipIds.length && !audioUrl) {
+    return res.status(400).json({ error: 'A taskId, clipId or url is required.' });
+  }
+
+  try {
+    let clip = null;
+    if ((taskIds.length || clipIds.length) && !describeMissingMusicProvider()) {
+      const rows = await fetchMusicClips({ taskIds, clipIds }).catch(() => []);
+      clip = rows.find((row) => isArchivableClip(row) && (!clipIds.length || clipIds.includes(row.clip_id))) || null;
     }
+    // A client-supplied URL is keyed on the clip it names (or on itself), never on the
+    // body's clipId, so it cannot fill the archive slot of a different clip.
+    if (!clip && audioUrl) clip = { clip_id: clipIdFromAudioUrl(audioUrl), audio_url: audioUrl };
+    if (!clip) return res.status(409).json({ error: 'The clip has not finished rendering yet.' });
 
-    console.log('[Sonic status] query/result summary:', { taskIds, clipIds, rowCount: rows.length, sample: rows[0] || null });
-    return res.json({
-      code: 200,
-      data: rows.map(r => ({
-        task_id: r.task_id,
-        clip_id: r.clip_id,
-        state: r.state,
-        title: r.title,
-        tags: r.tags,
-        lyrics: r.lyrics,
-        image_url: r.image_url,
-        audio_url: normalizeSunoAudioUrl(r.audio_url),
-        video_url: r.video_url,
-        created_at: r.created_at,
-        mv: r.mv,
-        duration: r.duration,
-      })),
-      message: 'success',
-    });
+    const record = await archiveClip(clip);
+    return res.json({ id: record.id, url: record.url, size: record.size, contentType: record.contentType, storedAt: record.storedAt });
   } catch (error) {
-    return res.status(502).json({ error: 'Suno task lookup failed', details: String(error?.message || error) });
+    return res.status(error.status || 502).json({ error: error.message || 'Unable to archive the audio.' });
   }
 });
 
+const BYTE_RANGES_PATTERN = /^bytes=\s*(\d+-\d*|-\d+)(\s*,\s*(\d+-\d*|-\d+))*\s*$/;
+
+// GET /api/audio/:id
+// Archived audio. Bytes never change for an id, so responses are cacheable for a year and
+// support single byte ranges for seeking.
+app.get('/api/audio/:id', async (req, res) => {
+  let record;
+  try {
+    record = await getArchivedAudio(req.params.id);
+  } catch (error) {
+    return res.status(502).json({ error: 'Audio archive lookup failed.', details: error.message });
+  }
+  if (!record) return res.status(404).json({ error: 'No archived audio matches that id.' });
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'Content-Type': record.contentType,
+    ETag: record.etag,
+    'Last-Modified': new Date(record.storedAt).toUTCString(),
+  });
+  if (req.fresh) return res.status(304).end();
+
+  // A Range with a stale If-Range validator gets the whole file, as HTTP requires, and so
+  // does a malformed one: range-parser reports both malformed and unsatisfiable ranges as
+  // -1, so only well-formed byte ranges reach it.
+  const ifRange = req.get('if-range');
+  const rangeHeader = req.get('range') || '';
+  const ranges = BYTE_RANGES_PATTERN.test(rangeHeader) && (!ifRange || ifRange === record.etag)
+    ? req.range(record.size, { combine: true })
+    : undefined;
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${record.size}`);
+    return res.status(416).end();
+  }
+  // Multi-range requests are answered with the whole file.
+  const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+  const start = range ? range.start : 0;
+  const end = range ? range.end : record.size - 1;
+
+  let stream = null;
+  if (req.method !== 'HEAD') {
+    try {
+      stream = await openArchivedAudio(record.id, { start, end });
+    } catch (error) {
+      return res.status(error.status || 502).json({ error: 'Unable to read archived audio.', details: error.message });
+    }
+  }
+
+  res.status(range ? 206 : 200);
+  if (range) res.set('Content-Range', `bytes ${start}-${end}/${record.size}`);
+  res.set('Content-Length', String(end - start + 1));
+  if (!stream) return res.end();
+
+  stream.on('error', (error) => {
+    console.warn(`Archived audio ${record.id} stopped mid-stream:`, error.message);
+    res.destroy(error);
+  });
+  return stream.pipe(res);
+});
+
 
 app.get('/api/proxy-audio', async (req, res) => {
   const src = typeof req.query.src === 'string' ? req.query.src : '';
@@ -1221,6 +1756,15 @@ app.get('/api/proxy-audio', async (req, res) => {
     return res.status(403).json({ error: 'Audio host is not permitted.' });
   }
 
+  // Spins saved with a provider URL are moved onto the archive here, on the server: once
+  // the clip is stored its plays are redirected there, and until then a play archives it.
+  const clipId = clipIdFromAudioUrl(url.toString());
+  if (clipId && isArchiveEnabled()) {
+    const archived = await findArchivedUrl(clipId);
+    if (archived) return res.redirect(302, archived);
+    archiveInBackground({ clip_id: clipId, audio_url: url.toString() });
+  }
+
   try {
     const upstream = await fetch(url, {
       headers: {
@@ -1253,11 +1797,27 @@ app.get('/api/proxy-audio', async (req, res) => {
 
 
 
+// Runs wherever the app is loaded, including as a serverless function, not only under
+// `npm start`. Serverless instances are frozen between requests and their disk is not
+// kept, so there jobs only progress while an instance is handling requests.
+try {
+  loadPrompts();
+} catch (error) {
+  console.error(error.message);
+}
+resumeJobs()
+  .then((count) => { if (count) console.log(`Resumed ${count} unfinished job(s).`); })
+  .catch((error) => console.warn('Unable to resume jobs:', error.message));
+pruneArticles()
+  .then((count) => { if (count) console.log(`Removed ${count} stored article(s) past retention.`); })
+  .catch((error) => console.warn('Unable to prune the article store:', error.message));
+
 const port = process.env.PORT || 3000;
 
 if (require.main === module) {
   app.listen(port, () => {
     console.log(`Daily Spin server listening on port ${port}`);
+    // Also warms the feed cache so the first headline request is served locally.
     fetchTopNews()
       .then((stories) => {
         if (!stories.length) {
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data', 'jobs');
+const DEFAULT_RETENTION_HOURS = 72;
+const DEFAULT_MAX_RUNNING = 2;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5000;
+const MAX_ERRORS = 20;
+const MAX_FINISHED_IN_MEMORY = 200;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const WAIT = Symbol('wait');
+
+// Multi-step jobs run on the server so they finish even if the browser that started them
+// goes away. Each job is a JSON record under data/jobs/<id>.json that is rewritten after
+// every step; on startup, jobs that were still queued or running continue from the step
+// they had reached.
+const jobTypes = new Map();
+const jobs = new Map();
+const readyQueue = [];
+// Jobs waiting to run again, by id, so wakeJobs can bring them forward.
+const waitTimers = new Map();
+const updateListeners = new Set();
+let runningCount = 0;
+
+function createJobError(message, status) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  return err;
+}
+
+function getStoreDir() {
+  return process.env.JOB_STORE_DIR || DEFAULT_STORE_DIR;
+}
+
+function getRetentionMs() {
+  const hours = Number(process.env.JOB_RETENTION_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_RETENTION_HOURS) * 60 * 60 * 1000;
+}
+
+function getMaxRunning() {
+  const value = Number(process.env.MAX_RUNNING_JOBS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_RUNNING;
+}
+
+function isValidJobId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function isFinished(job) {
+  return job.status === 'complete' || job.status === 'failed';
+}
+
+// Steps are [{ name, run(input, result, job), maxAttempts?, timeoutMs?, onTimeout?, once? }].
+// `run` resolves to an object merged into job.result, or to waitFor(ms) to be called again
+// later without holding a slot (used for polling). A step that has been waiting longer than
+// `timeoutMs` fails, unless `onTimeout` supplies a result to finish it with instead.
+// A `once` step (one that must not take effect twice, such as a paid API call) is recorded
+// as started before it runs, and a job found part way through it on startup fails instead
+// of repeating it.
+function defineJobType(type, steps) {
+  jobTypes.set(type, steps);
+}
+
+function waitFor(ms) {
+  return { [WAIT]: ms };
+}
+
+// Best effort, like the article store: a job that cannot be written still runs from memory.
+async function persistJob(job) {
+  const dir = getStoreDir();
+  const file = path.join(dir, `${job.id}.json`);
+  try {
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(job));
+    await fs.promises.rename(`${file}.tmp`, file);
+  } catch (error) {
+    console.warn(`Unable to persist job ${job.id}:`, error.message);
+  }
+  updateListeners.forEach((listener) => listener(job));
+}
+
+async function readJobFile(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Unable to read job ${path.basename(file)}:`, error.message);
+    return null;
+  }
+}
+
+// Finished jobs stay readable from disk, so only the most recent are kept in memory.
+function releaseFinished() {
+  const finished = [...jobs.values()].filter(isFinished);
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_IN_MEMORY)).forEach((job) => jobs.delete(job.id));
+}
+
+function touch(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+}
+
+function recordError(job, step, error) {
+  job.errors = [...job.errors, { step, message: error.message || String(error), at: new Date().toISOString() }].slice(-MAX_ERRORS);
+}
+
+// Client errors (a 4xx other than timeouts and rate limits) will not go away on retry.
+function isRetryable(error) {
+  if (error.retryable === false) return false;
+  const status = Number(error.status);
+  return !(status >= 400 && status < 500 && status !== 408 && status !== 429);
+}
+
+function schedule(job, delayMs = 0) {
+  if (delayMs > 0) {
+    clearTimeout(waitTimers.get(job.id));
+    const timer = setTimeout(() => {
+      waitTimers.delete(job.id);
+      schedule(job);
+    }, delayMs);
+    timer.unref();
+    waitTimers.set(job.id, timer);
+    return;
+  }
+  if (!readyQueue.includes(job.id)) readyQueue.push(job.id);
+  drain();
+}
+
+function drain() {
+  while (runningCount < getMaxRunning() && readyQueue.length) {
+    const job = jobs.get(readyQueue.shift());
+    if (!job || isFinished(job)) continue;
+    runningCount += 1;
+    runStep(job)
+      .catch((error) => console.error(`Job ${job.id} stopped unexpectedly:`, error))
+      .finally(() => {
+        runningCount -= 1;
+        drain();
+      });
+  }
+}
+
+async function advance(job, steps, index, output) {
+  const next = steps[index + 1];
+  touch(job, {
+    result: { ...job.result, ...output },
+    step: next ? next.name : 'done',
+    status: next ? 'running' : 'complete',
+    attempts: 0,
+    stepStartedAt: next ? new Date().toISOString() : null,
+    finishedAt: next ? null : new Date().toISOString(),
+  });
+  await persistJob(job);
+  if (next) schedule(job);
+  else releaseFinished();
+}
+
+async function fail(job, step, error) {
+  recordError(job, step, error);
+  touch(job, { status: 'failed', finishedAt: new Date().toISOString() });
+  await persistJob(job);
+  releaseFinished();
+}
+
+// Runs the job's current step once and decides what happens next.
+async function runStep(job) {
+  const steps = jobTypes.get(job.type) || [];
+  const index = steps.findIndex((step) => step.name === job.step);
+  if (index === -1) {
+    await fail(job, job.step, createJobError(`Unknown step "${job.step}" for ${job.type} jobs.`));
+    return;
+  }
+  const step = steps[index];
+
+  if (job.status === 'queued') {
+    touch(job, { status: 'running', stepStartedAt: job.stepStartedAt || new Date().toISOString() });
+    await persistJob(job);
+  }
+
+  const timedOut = step.timeoutMs && Date.now() - Date.parse(job.stepStartedAt) > step.timeoutMs;
+  if (timedOut) {
+    if (!step.onTimeout) {
+      await fail(job, step.name, createJobError(`Timed out during ${step.name}.`, 504));
+      return;
+    }
+    try {
+      await advance(job, steps, index, await step.onTimeout(job.input, job.result, job));
+    } catch (error) {
+      await fail(job, step.name, error);
+    }
+    return;
+  }
+
+  if (step.once) {
+    touch(job, { startedStep: step.name });
+    await persistJob(job);
+  }
+
+  let output;
+  try {
+    output = await step.run(job.input, job.result, job);
+  } catch (error) {
+    job.startedStep = null;
+    const attempts = job.attempts + 1;
+    const maxAttempts = step.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    if (!isRetryable(error) || attempts >= maxAttempts) {
+      touch(job, { attempts });
+      await fail(job, step.name, error);
+      return;
+    }
+    recordError(job, step.name, error);
+    touch(job, { attempts });
+    await persistJob(job);
+    schedule(job, RETRY_DELAY_MS * attempts);
+    return;
+  }
+
+  job.startedStep = null;
+  if (output && output[WAIT] !== undefined) {
+    schedule(job, output[WAIT]);
+    return;
+  }
+  await advance(job, steps, index, output || {});
+}
+
+// Runs waiting jobs that `match` now instead of at their next poll, e.g. when a webhook
+// reports the clips a job is waiting for.
+function wakeJobs(match) {
+  waitTimers.forEach((timer, id) => {
+    const job = jobs.get(id);
+    if (!job || !match(job)) return;
+    clearTimeout(timer);
+    waitTimers.delete(id);
+    schedule(job);
+  });
+}
+
+// `listener(job)` is called after every saved change to a job.
+function onJobUpdate(listener) {
+  updateListeners.add(listener);
+  return () => updateListeners.delete(listener);
+}
+
+// `result` seeds job.result, for jobs that pick up work started elsewhere.
+function createJob(type, input, result = {}) {
+  const steps = jobTypes.get(type);
+  if (!steps) throw createJobError(`Unknown job type "${type}".`, 400);
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    step: steps[0].name,
+    steps: steps.map((step) => step.name),
+    input,
+    result,
+    errors: [],
+    attempts: 0,
+    startedStep: null,
+    createdAt: now,
+    updatedAt: now,
+    stepStartedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+  persistJob(job).then(() => schedule(job));
+  return job;
+}
+
+async function getJob(id) {
+  if (!isValidJobId(id)) return null;
+  if (jobs.has(id)) return jobs.get(id);
+  // Finished jobs from before a restart are only read when asked for.
+  const job = await readJobFile(path.join(getStoreDir(), `${id}.json`));
+  if (!job || job.id !== id) return null;
+  return job;
+}
+
+// Loads unfinished jobs back into the queue and deletes finished ones past the retention
+// window. A job that was mid-step when the server stopped repeats that step, unless the
+// step is `once`.
+async function resumeJobs() {
+  const dir = getStoreDir();
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn('Unable to read the job store:', error.message);
+    return 0;
+  }
+
+  const cutoff = Date.now() - getRetentionMs();
+  let resumed = 0;
+  for (const file of files.filter((name) => name.endsWith('.json'))) {
+    const job = await readJobFile(path.join(dir, file));
+    if (!job || !isValidJobId(job.id) || jobs.has(job.id)) continue;
+    if (isFinished(job)) {
+      if (Date.parse(job.finishedAt || job.updatedAt) < cutoff) {
+        await fs.promises.unlink(path.join(dir, file)).catch(() => {});
+      }
+      continue;
+    }
+    if (!jobTypes.has(job.type)) continue;
+    jobs.set(job.id, job);
+    const step = jobTypes.get(job.type).find(({ name }) => name === job.step);
+    if (step?.once && job.startedStep === step.name) {
+      await fail(job, step.name, createJobError(`The server stopped during ${step.name}, which is not repeated in case it already took effect.`));
+      continue;
+    }
+    schedule(job);
+    resumed += 1;
+  }
+  return resumed;
+}
+
+module.exports = {
+  createJob,
+  defineJobType,
+  getJob,
+  onJobUpdate,
+  resumeJobs,
+  waitFor,
+  wakeJobs,
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LANGUAGES_FILE = path.join(__dirname, '..', 'config', 'languages.json');
+
+// A handful of very common words per language; enough to tell the supported
+// Latin-script languages apart on a paragraph of news text.
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'was', 'with', 'on', 'said', 'has', 'are', 'this'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'por', 'con', 'para', 'una', 'del', 'se', 'es'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'que', 'pour', 'dans', 'qui', 'pas'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'den', 'von', 'zu', 'ein', 'eine', 'auf', 'sich', 'dem'],
+  it: ['il', 'la', 'di', 'che', 'e', 'per', 'un', 'una', 'del', 'della', 'con', 'non', 'sono', 'nel', 'gli'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'do', 'da', 'em', 'para', 'com', 'uma', 'não', 'foi'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'niet', 'met', 'voor', 'zijn', 'ook', 'wordt'],
+};
+const MIN_STOPWORD_HITS = 3;
+
+let languagesCache = null;
+
+function createLanguageError(message, status) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  return err;
+}
+
+function loadLanguages() {
+  if (languagesCache) return languagesCache;
+  const parsed = JSON.parse(fs.readFileSync(process.env.LANGUAGES_FILE || DEFAULT_LANGUAGES_FILE, 'utf8'));
+  languagesCache = {
+    defaultLanguage: parsed.defaultLanguage || 'en',
+    languages: parsed.languages || {},
+  };
+  return languagesCache;
+}
+
+// "pt-BR", "pt_br" and "PT" all mean the registry's "pt"; unsupported tags return ''.
+function normalizeLanguageTag(tag) {
+  const primary = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return loadLanguages().languages[primary] ? primary : '';
+}
+
+function listLanguages() {
+  return Object.entries(loadLanguages().languages).map(([code, language]) => ({ code, ...language }));
+}
+
+// Returns { code, name, nativeName, locale, maxChars } for a supported code, else the default.
+function getLanguage(code) {
+  const { defaultLanguage, languages } = loadLanguages();
+  const resolved = normalizeLanguageTag(code) || defaultLanguage;
+  return { code: resolved, ...languages[resolved] };
+}
+
+// Guesses the language of a text: script ranges decide Japanese, Korean and Chinese,
+// stopword counts decide the rest. Returns '' when nothing is convincing.
+function detectLanguage(text) {
+  const sample = String(text || '').slice(0, 5000);
+  if (!sample.trim()) return '';
+
+  const kana = (sample.match(/[぀-ヿ]/g) || []).length;
+  const hangul = (sample.match(/[가-힯]/g) || []).length;
+  const han = (sample.match(/[一-鿿]/g) || []).length;
+  const letters = (sample.match(/\p{L}/gu) || []).length || 1;
+  if (kana / letters > 0.05) return normalizeLanguageTag('ja');
+  if (hangul / letters > 0.2) return normalizeLanguageTag('ko');
+  if (han / letters > 0.2) return normalizeLanguageTag('zh');
+
+  const words = sample.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  let best = '';
+  let bestHits = 0;
+  Object.entries(STOPWORDS).forEach(([code, list]) => {
+    const set = new Set(list);
+    const hits = words.reduce((count, word) => count + (set.has(word) ? 1 : 0), 0);
+    if (hits > bestHits) {
+      best = code;
+      bestHits = hits;
+    }
+  });
+
+  return bestHits >= MIN_STOPWORD_HITS ? normalizeLanguageTag(best) : '';
+}
+
+// Picks the language to write in: an explicit request wins (unknown codes are a 400),
+// then the article's declared language, then one detected from its text, then the default.
+function resolveLanguage(requested, { declared, text } = {}) {
+  const explicit = typeof requested === 'string' ? requested.trim() : '';
+  if (explicit) {
+    const code = normalizeLanguageTag(explicit);
+    if (!code) {
+      throw createLanguageError(
+        `Unsupported language "${requested}". Choose one of: ${Object.keys(loadLanguages().languages).join(', ')}.`,
+        400,
+      );
+    }
+    return getLanguage(code);
+  }
+  return getLanguage(normalizeLanguageTag(declared) || detectLanguage(text));
+}
+
+module.exports = {
+  detectLanguage,
+  getLanguage,
+  listLanguages,
+  normalizeLanguageTag,
+  resolveLanguage,
+};
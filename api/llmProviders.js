@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'llm.json');
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_TEMPERATURE = 0.85;
+const TASKS = ['lyrics', 'podcastPlan', 'deepDive'];
+
+let configCache = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createLlmError(message, status) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  return err;
+}
+
+function getConfigFile() {
+  return process.env.LLM_CONFIG_FILE || DEFAULT_CONFIG_FILE;
+}
+
+function loadConfig() {
+  if (configCache) return configCache;
+
+  let parsed = {};
+  try {
+    parsed = JSON.parse(fs.readFileSync(getConfigFile(), 'utf8'));
+  } catch (error) {
+    console.warn('Unable to load LLM config, using OpenRouter defaults:', error.message);
+  }
+
+  const providers = {
+    openrouter: { type: 'openrouter', baseUrl: 'https://openrouter.ai/api/v1', apiKeyEnv: 'OPEN_ROUTER_KEY' },
+    fixture: { type: 'fixture' },
+    ...(parsed.providers || {}),
+  };
+
+  // A local OpenAI-compatible server (llama.cpp, Ollama, vLLM…) can be pointed at from env alone.
+  if (process.env.LLM_BASE_URL) {
+    providers.local = {
+      ...(providers.local || {}),
+      type: 'openai-compatible',
+      baseUrl: process.env.LLM_BASE_URL,
+      apiKeyEnv: 'LLM_API_KEY',
+    };
+  }
+
+  configCache = { providers, tasks: parsed.tasks || {} };
+  return configCache;
+}
+
+// "provider:model"; only the first colon separates them because model ids may contain one.
+function parseChainEntry(entry, defaultProvider) {
+  const text = String(entry || '').trim();
+  if (!text) return null;
+  const index = text.indexOf(':');
+  const candidate = index > 0 ? text.slice(0, index) : '';
+  if (candidate && loadConfig().providers[candidate]) {
+    return { provider: candidate, model: text.slice(index + 1).trim() || 'default' };
+  }
+  return { provider: defaultProvider, model: text };
+}
+
+function envKey(task) {
+  return `LLM_${task.replace(/([A-Z])/g, '_$1').toUpperCase()}_MODELS`;
+}
+
+// The ordered provider/model pairs to try for a task. LLM_<TASK>_MODELS (e.g.
+// LLM_PODCAST_PLAN_MODELS) replaces one task's chain; LLM_PROVIDER with LLM_MODEL
+// replaces every chain at once.
+function getModelChain(task) {
+  if (!TASKS.includes(task)) throw createLlmError(`Unknown LLM task "${task}".`);
+
+  const defaultProvider = process.env.LLM_PROVIDER || 'openrouter';
+  const override = process.env[envKey(task)];
+  let entries;
+  if (override) {
+    entries = override.split(',');
+  } else if (process.env.LLM_PROVIDER) {
+    entries = [`${process.env.LLM_PROVIDER}:${process.env.LLM_MODEL || 'default'}`];
+  } else {
+    entries = loadConfig().tasks[task] || ['openrouter:openai/gpt-4o-mini'];
+  }
+
+  return entries.map((entry) => parseChainEntry(entry, defaultProvider)).filter(Boolean);
+}
+
+function createOpenAICompatibleProvider(name, { baseUrl, apiKeyEnv, headers = {}, requiresKey = false }) {
+  const endpoint = `${String(baseUrl || '').replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+    // Local servers usually need no key; hosted ones do.
+    isConfigured: () => Boolean(baseUrl) && (!requiresKey || Boolean(apiKeyEnv && process.env[apiKeyEnv])),
+    async complete({ model, messages, temperature = DEFAULT_TEMPERATURE, timeoutMs = DEFAULT_TIMEOUT_MS, responseFormat }) {
+      try {
+        return await this.request({ model, messages, temperature, timeoutMs, responseFormat });
+      } catch (error) {
+        // Not every model behind a gateway supports structured output; ask again without it
+        // and let the caller validate the reply.
+        if (!responseFormat || error.status !== 400) throw error;
+        console.warn(`${name} rejected response_format for ${model}, retrying without it.`);
+        return this.request({ model, messages, temperature, timeoutMs });
+      }
+    },
+    async request({ model, messages, temperature, timeoutMs, responseFormat }) {
+      const ctrl = new AbortController();
+      const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+      const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : '';
+
+      try {
+        const res = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            'Content-Type': 'application/json',
+            ...headers,
+          },
+          body: JSON.stringify({
+            model,
+            messages,
+            temperature,
+            ...(responseFormat ? { response_format: responseFormat } : {}),
+          }),
+          signal: ctrl.signal,
+        });
+
+        if (!res.ok) {
+          const text = await res.text().catch(() => '');
+          throw createLlmError(`${name} ${res.status}: ${text || res.statusText}`, res.status);
+        }
+
+        const json = await res.json();
+        const content = json?.choices?.[0]?.message?.content?.trim();
+        if (!content) throw createLlmError(`${name} did not return content`);
+        return content;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+function lastUserMessage(messages) {
+  const user = [...messages].reverse().find((message) => message.role === 'user');
+  return user ? String(user.content || '') : '';
+}
+
+function firstWords(text, count) {
+  return text.split(/\s+/).filter(Boolean).slice(0, count).join(' ');
+}
+
+function readField(text, label) {
+  const match = text.match(new RegExp(`^${label}:\\s*(.+)$`, 'm'));
+  return match ? match[1].trim() : '';
+}
+
+function readArticle(text) {
+  const match = text.match(/(?:Article Content|Full article content):\s*\n([\s\S]*)$/i);
+  return match ? match[1].trim() : '';
+}
+
+// Canned, input-derived replies so the pipeline runs offline and always gives the same
+// output for the same prompt.
+const FIXTURE_REPLIES = {
+  lyrics(prompt) {
+    const headline = readField(prompt, 'Headline');
+    const article = readArticle(prompt);
+    const lines = (article || prompt).split(/(?<=[.!?])\s+/).filter((line) => /\w/.test(line)).slice(0, 8);
+    return (headline ? [headline, '', ...lines] : lines).join('\n').trim();
+  },
+  podcastPlan(prompt) {
+    const headlines = (prompt.split(/\nHeadlines:\n/)[1] || '')
+      .split('\n')
+      .map((line) => {
+        const match = line.match(/^\d+\.\s+(?:\[([^\]]+)\]|Headline)\s+(.+?)(?:\s+—\s+|$)/);
+        return match ? { source: match[1] || '', headline: match[2].trim() } : null;
+      })
+      .filter(Boolean)
+      .slice(0, 3);
+
+    return JSON.stringify({
+      overview_script: `Today we look at ${headlines.map(({ headline }) => headline).join('; ')}.`,
+      selections: headlines.map(({ headline, source }) => ({
+        headline,
+        source,
+        reason: 'Fixture selection.',
+        host_script: `Here is the latest on ${headline}.`,
+      })),
+    });
+  },
+  deepDive(prompt) {
+    const headline = readField(prompt, 'Headline');
+    return `${headline ? `${headline}. ` : ''}${firstWords(readArticle(prompt), 150)}`.trim();
+  },
+};
+
+function createFixtureProvider(name, { fixturesFile } = {}) {
+  let fixtures = null;
+  const file = process.env.LLM_FIXTURES_FILE || fixturesFile;
+  if (file) {
+    try {
+      fixtures = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+      console.warn('Unable to load LLM fixtures, using built-in replies:', error.message);
+    }
+  }
+
+  return {
+    name,
+    isConfigured: () => true,
+    async complete({ task, messages }) {
+      if (fixtures && typeof fixtures[task] === 'string') return fixtures[task];
+      const reply = FIXTURE_REPLIES[task] ? FIXTURE_REPLIES[task](lastUserMessage(messages)) : '';
+      if (!reply) throw createLlmError(`Fixture provider has no reply for task "${task}".`);
+      return reply;
+    },
+  };
+}
+
+const providerCache = new Map();
+
+function getProvider(name) {
+  if (providerCache.has(name)) return providerCache.get(name);
+
+  const settings = loadConfig().providers[name];
+  if (!settings) throw createLlmError(`Unknown LLM provider "${name}".`);
+
+  let provider;
+  switch (settings.type) {
+    case 'openrouter':
+      provider = createOpenAICompatibleProvider(name, {
+        ...settings,
+        requiresKey: true,
+        // OpenRouter recommends these two for routing/analytics; not strictly required but helps reliability.
+        headers: {
+          'HTTP-Referer': process.env.SITE_URL || 'http://localhost:3000',
+          'X-Title': 'Daily Spin',
+          ...(settings.headers || {}),
+        },
+      });
+      break;
+    case 'openai-compatible':
+      provider = createOpenAICompatibleProvider(name, settings);
+      break;
+    case 'fixture':
+      provider = createFixtureProvider(name, settings);
+      break;
+    default:
+      throw createLlmError(`LLM provider "${name}" has unknown type "${settings.type}".`);
+  }
+
+  providerCache.set(name, provider);
+  return provider;
+}
+
+// Returns an error message when no provider in the task's chain can be used, '' otherwise.
+function describeMissingProvider(task) {
+  const chain = getModelChain(task);
+  const usable = chain.some(({ provider }) => {
+    try {
+      return getProvider(provider).isConfigured();
+    } catch {
+      return false;
+    }
+  });
+  if (usable) return '';
+  return chain.some(({ provider }) => provider === 'openrouter')
+    ? 'OpenRouter API key is not configured.'
+    : `No configured LLM provider is available for ${task}.`;
+}
+
+async function completeWithRetries(provider, request, attempts) {
+  let delay = 750;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      return await provider.complete(request);
+    } catch (err) {
+      // 5xx/abort -> retry; 4xx -> stop
+      const status = err.status || 0;
+      const retryable = status >= 500 || status === 0; // 0 = fetch/abort/network
+      if (!retryable || i === attempts - 1) throw err;
+      await sleep(delay);
+      delay *= 2; // backoff
+    }
+  }
+  return '';
+}
+
+// Walks the task's provider/model chain until one returns text. An auth failure skips
+// the rest of that provider's models. `responseFormat` is an OpenAI-style response_format
+// (e.g. a json_schema) for providers that accept one. Resolves to { text, provider, model };
+// rejects with the last error (its status kept, and `errors` listing every attempt) when all fail.
+async function runLlmTask(task, messages, { attempts = 1, temperature, timeoutMs, responseFormat } = {}) {
+  const errors = [];
+  const failedProviders = new Set();
+  let authError = null;
+  let lastError = null;
+
+  for (const { provider: providerName, model } of getModelChain(task)) {
+    if (failedProviders.has(providerName)) continue;
+
+    let provider;
+    try {
+      provider = getProvider(providerName);
+    } catch (error) {
+      errors.push(`[${providerName}] ${error.message}`);
+      failedProviders.add(providerName);
+      continue;
+    }
+    if (!provider.isConfigured()) {
+      failedProviders.add(providerName);
+      continue;
+    }
+
+    console.log(`trying ${providerName} model:`, model);
+    try {
+      const text = await completeWithRetries(
+        provider,
+        { task, model, messages, temperature, timeoutMs, responseFormat },
+        attempts,
+      );
+      if (text && /\w/.test(text)) return { text, provider: providerName, model };
+      throw createLlmError(`${providerName} returned an empty reply`);
+    } catch (error) {
+      errors.push(`[${providerName}:${model}] ${error.message}`);
+      lastError = error;
+      if (error.status === 401 || error.status === 403) {
+        authError = error;
+        failedProviders.add(providerName);
+      }
+    }
+  }
+
+  const failure = createLlmError(
+    errors.length ? `Every model failed for ${task}: ${errors.join('; ')}` : `No LLM provider is configured for ${task}.`,
+    (authError || lastError)?.status,
+  );
+  failure.errors = errors;
+  throw failure;
+}
+
+module.exports = {
+  describeMissingProvider,
+  getModelChain,
+  runLlmTask,
+};
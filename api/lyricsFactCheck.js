@@ -0,0 +1,202 @@
+// Checks the concrete details in generated lyrics (names, places, numbers and dates)
+// against the article they were written from. Purely lexical: a claim counts as
+// supported when the article mentions the same name, number or date.
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60,
+  seventy: 70, eighty: 80, ninety: 90, hundred: 100, dozen: 12,
+};
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+const MONTH_PATTERN = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const DATE_PATTERN = new RegExp(
+  `\\b(?:${MONTH_PATTERN}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+\\d{4})?)\\b`,
+  'gi',
+);
+const NUMBER_PATTERN = /(?:[$£€]\s?)?\b\d{1,3}(?:,\d{3})+(?:\.\d+)?\b|(?:[$£€]\s?)?\b\d+(?:\.\d+)?\b/g;
+
+// Capitalised words that start lines in lyrics or are song structure, not proper nouns.
+const IGNORED_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'from', 'he', 'her', 'his', 'i', 'if', 'in', 'it', 'its',
+  'now', 'of', 'oh', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'then', 'there', 'they', 'this',
+  'to', 'we', 'what', 'when', 'where', 'who', 'why', 'with', 'yeah', 'you', 'your', 'verse', 'chorus',
+  'bridge', 'intro', 'outro', 'hook', 'refrain', 'pre-chorus',
+  'all', 'every', 'here', 'no', 'not', 'one', 'some',
+  ...Object.keys(NUMBER_WORDS), ...MONTHS, 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+]);
+const PLACE_PREPOSITIONS = /\b(?:in|at|from|to|across|near|into|outside|inside)\s+$/i;
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase();
+}
+
+function parseNumber(text) {
+  const value = Number.parseFloat(String(text).replace(/[$£€,\s]/g, ''));
+  return Number.isFinite(value) ? value : null;
+}
+
+function monthIndex(text) {
+  const lower = normalize(text).slice(0, 3);
+  return MONTHS.findIndex((month) => month.startsWith(lower));
+}
+
+function extractDates(text) {
+  return [...text.matchAll(DATE_PATTERN)].map(([match]) => {
+    const month = monthIndex(match.match(new RegExp(MONTH_PATTERN, 'i'))[0]);
+    const day = Number.parseInt((match.match(/\b(\d{1,2})(?:st|nd|rd|th)?\b(?!\d)/) || [])[1], 10);
+    const year = Number.parseInt((match.match(/\b(\d{4})\b/) || [])[1], 10);
+    return { text: match.trim(), month, day, year: Number.isNaN(year) ? null : year };
+  });
+}
+
+function extractNumbers(text) {
+  // Dates are checked as a whole, so their digits are not separate claims.
+  const withoutDates = text.replace(DATE_PATTERN, ' ');
+  return [...withoutDates.matchAll(NUMBER_PATTERN)]
+    .map(([match]) => ({ text: match.trim(), value: parseNumber(match) }))
+    // Single digits are usually phrasing ("2 sides"), not reported figures.
+    .filter(({ value, text: raw }) => value !== null && (value >= 10 || /[$£€.]/.test(raw)));
+}
+
+// True when the text before `index` ends a line or sentence, so a capitalised word there
+// may be an ordinary word rather than a name.
+function isSentenceStart(text, index) {
+  const before = text.slice(0, index).split('\n').pop();
+  return /^[\s"“'‘(\[-]*$/.test(before) || /[.!?:;]["”'’)]*\s+["“'‘(]*$/.test(before);
+}
+
+// Runs of capitalised words on one line; common words that are only capitalised
+// because they start a line or sentence are dropped. A single word that starts a line or
+// sentence ("Rain is falling") only counts as a name when the lyrics also capitalise it
+// mid-sentence.
+function extractProperNouns(text) {
+  const pattern = /\b(\p{Lu}[\p{L}'’.-]*(?:[ \t]+(?:of|de|la|van|von|al|bin)?[ \t]*\p{Lu}[\p{L}'’.-]*)*)/gu;
+  const candidates = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const allWords = match[1].replace(/[’']s$/, '').replace(/[.-]+$/, '').trim().split(/[ \t]+/);
+    // Leading common words ("In Lisbon", "The Senate") are context, not part of the name.
+    let start = 0;
+    while (start < allWords.length && IGNORED_WORDS.has(normalize(allWords[start]))) start += 1;
+    const words = allWords.slice(start).filter((word) => !IGNORED_WORDS.has(normalize(word)));
+    if (!words.length || words.join(' ').length < 3) continue;
+    candidates.push({ match, allWords, start, words, initial: isSentenceStart(text, match.index) });
+  }
+
+  const midSentence = new Set(candidates
+    .filter(({ initial, start }) => !initial || start > 0)
+    .flatMap(({ words }) => words.map(normalize)));
+
+  return candidates
+    .filter(({ initial, start, words }) => !(initial && start === 0 && words.length === 1 && !midSentence.has(normalize(words[0]))))
+    .map(({ match: found, allWords, start, words }) => {
+      const context = `${text.slice(Math.max(0, found.index - 12), found.index)}${allWords.slice(0, start).join(' ')} `;
+      return {
+        type: PLACE_PREPOSITIONS.test(context) ? 'place' : 'name',
+        text: words.join(' '),
+      };
+    });
+}
+
+function buildArticleIndex(articleText) {
+  const normalized = normalize(articleText);
+  const numbers = new Set(extractNumbers(articleText).map(({ value }) => value));
+  normalized.split(/[^a-z]+/).forEach((word) => {
+    if (NUMBER_WORDS[word]) numbers.add(NUMBER_WORDS[word]);
+  });
+  // Also count small figures the number filter skips, so "5,000" in lyrics matches "5,000" or "5000".
+  (articleText.match(/\d+(?:[.,]\d+)*/g) || []).forEach((raw) => {
+    const value = parseNumber(raw);
+    if (value !== null) numbers.add(value);
+  });
+
+  return {
+    text: normalized,
+    words: new Set(normalized.split(/[^a-z0-9]+/).filter(Boolean)),
+    numbers,
+    dates: extractDates(articleText),
+  };
+}
+
+function isNameSupported(claim, index) {
+  const phrase = normalize(claim.text);
+  if (index.text.includes(phrase)) return true;
+  // "President Lula" against "Luiz Inácio Lula da Silva": every distinctive word must appear.
+  const words = phrase.split(/[^a-z0-9]+/).filter((word) => word.length > 2);
+  return words.length > 0 && words.every((word) => index.words.has(word));
+}
+
+// Only figures that are usually rounded in prose may differ from the article: decimals
+// ("3.2 million", "4.5%") and large round numbers ("3,000" for 2,968). Years and small
+// counts must match exactly, or "2023" would pass against an article about 2024.
+function allowsRounding(value) {
+  if (!Number.isInteger(value)) return true;
+  if (value >= 1000 && value <= 2100) return false;
+  return value >= 1000 && value % 100 === 0;
+}
+
+function isNumberSupported(claim, index) {
+  if (index.numbers.has(claim.value)) return true;
+  if (!allowsRounding(claim.value)) return false;
+  // Rounded figures are fine within 5%.
+  return [...index.numbers].some((value) => value > 0 && Math.abs(value - claim.value) / value <= 0.05);
+}
+
+function isDateSupported(claim, index) {
+  return index.dates.some((date) => date.month === claim.month
+    && (Number.isNaN(claim.day) || date.day === claim.day)
+    && (claim.year === null || date.year === null || date.year === claim.year));
+}
+
+function uniqueClaims(claims) {
+  const seen = new Set();
+  return claims.filter((claim) => {
+    const key = `${claim.type}:${normalize(claim.text)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function describeClaim({ type, text }) {
+  return `${type[0].toUpperCase()}${type.slice(1)} "${text}" does not appear in the article.`;
+}
+
+// Returns { checkedClaims, unsupportedClaims: [{ type, text }], warnings: [string] }.
+// Pass { properNouns: false } for lyrics that are not in English: capitalisation rules
+// differ (German capitalises every noun) and names may be transliterated.
+function checkLyricsAgainstArticle(lyrics, articleText, { properNouns = true } = {}) {
+  const text = String(lyrics || '');
+  const index = buildArticleIndex(String(articleText || ''));
+
+  const claims = uniqueClaims([
+    ...extractDates(text).map((claim) => ({ ...claim, type: 'date' })),
+    ...extractNumbers(text).map((claim) => ({ ...claim, type: 'number' })),
+    ...(properNouns ? extractProperNouns(text) : []),
+  ]);
+
+  const unsupported = claims.filter((claim) => {
+    if (claim.type === 'date') return !isDateSupported(claim, index);
+    if (claim.type === 'number') return !isNumberSupported(claim, index);
+    return !isNameSupported(claim, index);
+  });
+
+  return {
+    checkedClaims: claims.length,
+    unsupportedClaims: unsupported.map(({ type, text: claimText }) => ({ type, text: claimText })),
+    warnings: unsupported.map(describeClaim),
+  };
+}
+
+module.exports = {
+  checkLyricsAgainstArticle,
+};
@@ -0,0 +1,487 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'music.json');
+const STUB_AUDIO_PATH = '/api/music/stub';
+const STUB_CLIP_PATTERN = /^stub-[0-9a-f]{16}-\d+$/;
+// Task states every provider is mapped onto; clips keep the provider's own wording in
+// `state` as long as it is one the front end already treats as final.
+const FINAL_STATES = new Set(['complete', 'completed', 'succeeded', 'success']);
+const FAILED_STATES = new Set(['failed', 'failure', 'error', 'cancelled', 'canceled']);
+// vocal sings the prompt, instrumental ignores it; extend continues an existing clip and
+// cover re-records one in a new style, both identified by its clip id.
+const MUSIC_MODES = ['vocal', 'instrumental', 'extend', 'cover'];
+const SOURCE_CLIP_MODES = new Set(['extend', 'cover']);
+const MAX_TITLE_CHARS = 80;
+
+let configCache = null;
+
+function createMusicError(message, status, details) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  if (details !== undefined) err.details = details;
+  return err;
+}
+
+function loadConfig() {
+  if (configCache) return configCache;
+
+  let parsed = {};
+  try {
+    parsed = JSON.parse(fs.readFileSync(process.env.MUSIC_CONFIG_FILE || DEFAULT_CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    console.warn('Unable to load music provider config, using the stub provider:', error.message);
+  }
+
+  configCache = {
+    provider: parsed.provider || 'stub',
+    providers: { stub: { type: 'stub' }, ...(parsed.providers || {}) },
+  };
+  return configCache;
+}
+
+const toArray = (v) => (Array.isArray(v) ? v : (v ? [v] : []));
+
+// Providers with a `webhook` block are given a callback_url on create, so they can report
+// finished clips to /api/webhooks/<provider> instead of waiting to be polled. It needs the
+// shared secret (named by `secretEnv`) and SITE_URL, the server's public address. The
+// provider is expected to send the secret back as an X-Webhook-Secret header. Set
+// `secretIn` to "query" for a provider that can only call a URL: the secret then travels
+// in the callback_url's query string, which ends up in access logs and in the provider's
+// copy of the request.
+function getWebhookSecret(name) {
+  const webhook = loadConfig().providers[name]?.webhook;
+  if (!webhook) return '';
+  return toArray(webhook.secretEnv).map((key) => process.env[key]).find(Boolean) || '';
+}
+
+// Defaults to the selected provider.
+function getMusicWebhookUrl(name = process.env.MUSIC_PROVIDER || loadConfig().provider) {
+  const secret = getWebhookSecret(name);
+  const siteUrl = String(process.env.SITE_URL || '').replace(/\/+$/, '');
+  if (!secret || !siteUrl) return '';
+  const url = `${siteUrl}/api/webhooks/${encodeURIComponent(name)}`;
+  if (loadConfig().providers[name].webhook.secretIn !== 'query') return url;
+  return `${url}?secret=${encodeURIComponent(secret)}`;
+}
+
+function verifyMusicWebhook(name, secret) {
+  const expected = Buffer.from(getWebhookSecret(name));
+  const given = Buffer.from(typeof secret === 'string' ? secret : '');
+  return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function parseBody(raw) {
+  try { return JSON.parse(raw); } catch { return raw; }
+}
+
+// Create responses come as { data: [...] }, { data: {...} }, { task_id } or a bare list;
+// items name the task `task_id` or `id` and the clip `clip_id` or `song_id`.
+function parseCreatedIds(data) {
+  const list = Array.isArray(data?.data)
+    ? data.data
+    : (data?.data && typeof data.data === 'object' ? [data.data] : (data?.task_id ? [{ task_id: data.task_id }] : toArray(data)));
+
+  const taskIds = [];
+  const clipIds = [];
+  for (const item of list) {
+    if (!item || typeof item !== 'object') continue;
+    if (item.task_id) taskIds.push(item.task_id);
+    if (item.id && !item.clip_id && !item.song_id) taskIds.push(item.id); // some payloads use "id" for task
+    if (item.clip_id) clipIds.push(item.clip_id);
+    if (item.song_id) clipIds.push(item.song_id); // sometimes named differently
+  }
+
+  return { taskIds: [...new Set(taskIds)], clipIds: [...new Set(clipIds)] };
+}
+
+function unwrapStatusPayload(body) {
+  if (!body) return [];
+  if (Array.isArray(body?.data)) return body.data;
+  if (Array.isArray(body)) return body;
+
+  const combined = [];
+  if (Array.isArray(body?.clips)) combined.push(...body.clips);
+  if (Array.isArray(body?.tasks)) combined.push(...body.tasks);
+  if (combined.length === 0 && typeof body === 'object') combined.push(body);
+  return combined;
+}
+
+function collectStatusCandidates(record) {
+  const out = [];
+  const push = (value) => {
+    if (!value) return;
+    if (Array.isArray(value)) {
+      value.forEach(push);
+      return;
+    }
+    if (typeof value === 'object') out.push(value);
+  };
+
+  push(record);
+  push(record?.data);
+  push(record?.task);
+  push(record?.result);
+  push(record?.response);
+  push(record?.response?.data);
+  push(record?.response?.task);
+  push(record?.clips);
+  push(record?.tasks);
+  push(record?.songs);
+  push(record?.items);
+  push(record?.output);
+
+  return out;
+}
+
+// Flattens any provider's status body into clip rows:
+// { task_id, clip_id, state, title, tags, lyrics, image_url, audio_url, video_url, created_at, mv, duration }.
+function normalizeClips(body) {
+  const rows = unwrapStatusPayload(body);
+  const normalized = [];
+
+  for (const row of rows) {
+    const baseTaskId = row?.task_id || row?.id || '';
+
+    for (const item of collectStatusCandidates(row)) {
+      const taskId = item?.task_id || item?.id || baseTaskId || '';
+      const clipId = item?.clip_id || item?.song_id || item?.id || row?.clip_id || '';
+      const audioUrl = item?.audio_url || item?.audioUrl || item?.stream_url || item?.streamUrl || item?.audio?.url || '';
+      const state = String(item?.state || item?.status || row?.state || row?.status || '').toLowerCase();
+
+      if (!taskId && !clipId && !audioUrl && !state) continue;
+
+      normalized.push({
+        task_id: taskId,
+        clip_id: clipId,
+        state,
+        title: item?.title || row?.title || '',
+        tags: item?.tags || row?.tags || '',
+        lyrics: item?.lyrics || item?.prompt || row?.lyrics || '',
+        image_url: item?.image_url || item?.imageUrl || row?.image_url || '',
+        audio_url: audioUrl,
+        video_url: item?.video_url || row?.video_url || '',
+        created_at: item?.created_at || row?.created_at || '',
+        mv: item?.mv || row?.mv || '',
+        duration: item?.duration || row?.duration || undefined,
+      });
+    }
+  }
+
+  const seen = new Set();
+  return normalized.filter((item) => {
+    const key = `${item.task_id || ''}|${item.clip_id || ''}|${item.audio_url || ''}|${item.state || ''}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Callbacks wrap the clips as { code, data: { task_id, data: [clips] } } rather than the
+// task lookup's { data: [clips] }; each clip is given the task id from the envelope.
+function parseMusicWebhook(body) {
+  const envelope = body?.data;
+  if (Array.isArray(envelope?.data)) {
+    return normalizeClips({ data: envelope.data.map((clip) => ({ task_id: envelope.task_id, ...clip })) });
+  }
+  return normalizeClips(body);
+}
+
+function isFinalMusicState(state) {
+  return FINAL_STATES.has(String(state || '').toLowerCase());
+}
+
+// One state for a whole task: complete once a clip is final, failed when every clip failed.
+function summarizeState(clips) {
+  if (clips.some((clip) => FINAL_STATES.has(clip.state))) return 'complete';
+  if (clips.length && clips.every((clip) => FAILED_STATES.has(clip.state))) return 'failed';
+  if (clips.some((clip) => clip.audio_url)) return 'streaming';
+  return 'pending';
+}
+
+// Sonic (aimusicapi.ai), sunoapi.com and other Suno wrappers that share the
+// create/task-lookup shape; only the base URL, paths and payload defaults differ.
+// `modes` maps each supported mode to extra payload fields; `clipParam` and
+// `continueAtParam` name the fields that carry the source clip and the point to extend from.
+// `paths.status` may list several lookups, tried in order until one knows the task.
+function createSunoCompatibleProvider(name, {
+  baseUrl,
+  apiKeyEnv,
+  paths = {},
+  defaults = {},
+  models = [],
+  modes = { vocal: {}, instrumental: { make_instrumental: true } },
+}) {
+  const base = String(baseUrl || '').replace(/\/+$/, '');
+  const apiKey = () => toArray(apiKeyEnv).map((key) => process.env[key]).find(Boolean) || '';
+  const endpoint = (template, id = '') => `${base}${(template || '').replace('{id}', encodeURIComponent(id))}`;
+
+  async function request(url, { method = 'GET', body } = {}) {
+    const res = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${apiKey()}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    return { res, data: parseBody(await res.text()) };
+  }
+
+  return {
+    name,
+    isConfigured: () => Boolean(base && apiKey()),
+    modes: MUSIC_MODES.filter((mode) => modes[mode]),
+    models,
+    defaultModel: defaults.mv || models[0] || null,
+    async create({ prompt, tags, title, mode = 'vocal', model, clipId, continueAt }) {
+      const { clipParam, continueAtParam, ...modeFields } = modes[mode] || {};
+      const payload = {
+        ...defaults,
+        make_instrumental: false,
+        ...modeFields,
+        prompt: mode === 'instrumental' ? '' : prompt,
+        ...(model ? { mv: model } : {}),
+        ...(tags ? { tags } : {}),
+        ...(title ? { title } : {}),
+        ...(clipParam && clipId ? { [clipParam]: clipId } : {}),
+        ...(continueAtParam && Number.isFinite(continueAt) ? { [continueAtParam]: continueAt } : {}),
+      };
+      const callbackUrl = getMusicWebhookUrl(name);
+      if (callbackUrl) payload.callback_url = callbackUrl;
+
+      const { res, data } = await request(endpoint(paths.create || '/create'), { method: 'POST', body: payload });
+      if (!res.ok) throw createMusicError(`${name} create failed`, res.status, data);
+
+      console.log(`[${name} create] raw response:`, typeof data === 'object' ? JSON.stringify(data).slice(0, 500) : String(data).slice(0, 500));
+      return { ...parseCreatedIds(data), raw: data };
+    },
+    async getStatus(taskId) {
+      for (const path of toArray(paths.status || '/task/{id}')) {
+        const { res, data } = await request(endpoint(path, taskId));
+        if ([401, 403].includes(res.status)) {
+          throw createMusicError(`${name} authentication failed.`, res.status, data);
+        }
+        // Either the wrong lookup for this task or a freshly created task that is not
+        // visible yet, so try the next one before calling it pending.
+        if ([400, 404, 422].includes(res.status)) continue;
+        if (!res.ok) throw createMusicError(`${name} status lookup failed`, res.status, data);
+
+        const clips = normalizeClips(data).map((clip) => ({ ...clip, task_id: clip.task_id || taskId }));
+        return { taskId, state: summarizeState(clips), clips };
+      }
+      return { taskId, state: 'pending', clips: [] };
+    },
+    async list() {
+      const { res, data } = await request(endpoint(paths.list || '/task/'));
+      if ([401, 403].includes(res.status)) {
+        throw createMusicError(`${name} authentication failed.`, res.status, data);
+      }
+      if (!res.ok) throw createMusicError(`${name} task list failed`, res.status || 502, data);
+      return normalizeClips(data);
+    },
+  };
+}
+
+// MPEG-1 Layer III, 32 kbps, 44.1 kHz, mono: a 4-byte header and an all-zero body
+// (empty side info) is a valid frame that decodes to silence.
+const SILENT_FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x10, 0xc0]);
+const SILENT_FRAME_BYTES = 104; // floor(144 * 32000 / 44100)
+const SAMPLES_PER_FRAME = 1152;
+const silentMp3Cache = new Map();
+
+function silentMp3(durationSeconds) {
+  if (silentMp3Cache.has(durationSeconds)) return silentMp3Cache.get(durationSeconds);
+  const frame = Buffer.alloc(SILENT_FRAME_BYTES);
+  SILENT_FRAME_HEADER.copy(frame);
+  const frames = Math.max(1, Math.ceil((durationSeconds * 44100) / SAMPLES_PER_FRAME));
+  const audio = Buffer.concat(Array.from({ length: frames }, () => frame));
+  silentMp3Cache.set(durationSeconds, audio);
+  return audio;
+}
+
+// Offline provider: tasks live in memory, turn complete after `readyAfterMs` and play a
+// generated silent MP3 from this server, so song flows run without a music service.
+function createStubProvider(name, { durationSeconds = 30, readyAfterMs = 3000, models = ['stub'] } = {}) {
+  const tasks = new Map();
+
+  function toClips(task) {
+    const ready = Date.now() - task.createdAt >= readyAfterMs;
+    return task.clipIds.map((clipId) => ({
+      task_id: task.taskId,
+      clip_id: clipId,
+      state: ready ? 'complete' : 'pending',
+      title: task.title || 'Daily Spin (stub)',
+      tags: task.tags || '',
+      lyrics: task.mode === 'instrumental' ? '' : task.prompt || '',
+      image_url: '',
+      audio_url: ready ? `${STUB_AUDIO_PATH}/${clipId}.mp3` : '',
+      video_url: '',
+      created_at: new Date(task.createdAt).toISOString(),
+      mv: task.model || 'stub',
+      duration: task.mode === 'extend' ? durationSeconds * 2 : durationSeconds,
+    }));
+  }
+
+  return {
+    name,
+    isConfigured: () => true,
+    modes: MUSIC_MODES,
+    models,
+    defaultModel: models[0] || null,
+    async create({ prompt, tags, title, mode = 'vocal', model }) {
+      const taskId = `stub-${crypto.randomBytes(8).toString('hex')}`;
+      const task = { taskId, clipIds: [`${taskId}-0`], prompt, tags, title, mode, model, createdAt: Date.now() };
+      tasks.set(taskId, task);
+      // Calls its own webhook when the clip is ready, the way a hosted provider would.
+      const callbackUrl = getMusicWebhookUrl(name);
+      if (callbackUrl) {
+        setTimeout(() => {
+          fetch(callbackUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Webhook-Secret': getWebhookSecret(name) },
+            body: JSON.stringify({ code: 200, data: { task_id: taskId, data: toClips(task) } }),
+          }).catch((error) => console.warn(`[${name} webhook] delivery failed:`, error.message));
+        }, readyAfterMs).unref();
+      }
+      return { taskIds: [taskId], clipIds: [], raw: { task_id: taskId } };
+    },
+    async getStatus(taskId) {
+      const task = tasks.get(taskId);
+      if (!task) return { taskId, state: 'pending', clips: [] };
+      const clips = toClips(task);
+      return { taskId, state: summarizeState(clips), clips };
+    },
+    async list() {
+      return [...tasks.values()].reverse().flatMap(toClips);
+    },
+    audio: (clipId) => (STUB_CLIP_PATTERN.test(clipId) ? silentMp3(durationSeconds) : null),
+  };
+}
+
+const providerCache = new Map();
+
+function getProvider(name) {
+  if (providerCache.has(name)) return providerCache.get(name);
+
+  const settings = loadConfig().providers[name];
+  if (!settings) throw createMusicError(`Unknown music provider "${name}".`);
+
+  let provider;
+  switch (settings.type) {
+    case 'suno-compatible':
+      provider = createSunoCompatibleProvider(name, settings);
+      break;
+    case 'stub':
+      provider = createStubProvider(name, settings);
+      break;
+    default:
+      throw createMusicError(`Music provider "${name}" has unknown type "${settings.type}".`);
+  }
+
+  providerCache.set(name, provider);
+  return provider;
+}
+
+// The provider picked by MUSIC_PROVIDER, else by `provider` in config/music.json.
+function getMusicProvider() {
+  return getProvider(process.env.MUSIC_PROVIDER || loadConfig().provider);
+}
+
+// Returns an error message when the selected provider cannot be used, '' otherwise.
+function describeMissingMusicProvider() {
+  try {
+    return getMusicProvider().isConfigured() ? '' : 'Suno API key is not configured.';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// The selected provider's modes and models, for GET /api/music-options.
+function listMusicOptions() {
+  const provider = getMusicProvider();
+  return {
+    provider: provider.name,
+    modes: provider.modes,
+    models: provider.models,
+    defaultModel: provider.defaultModel,
+  };
+}
+
+// Validates the mode, model and title of a song request against the selected provider and
+// returns them normalized; anything it cannot make is a 400. An empty mode is `vocal` and
+// an empty model the provider's default (null). The source clip of an extend or cover is
+// checked by the caller, which may still have to look it up from a task id.
+function resolveMusicOptions({ mode, model, title, continueAt } = {}) {
+  const provider = getMusicProvider();
+  const id = typeof mode === 'string' && mode.trim() ? mode.trim().toLowerCase() : 'vocal';
+  if (!MUSIC_MODES.includes(id)) {
+    throw createMusicError(`Unknown song mode "${mode}". Use ${MUSIC_MODES.join(', ')}.`, 400);
+  }
+  if (!provider.modes.includes(id)) {
+    throw createMusicError(`The ${provider.name} music provider cannot make ${id} songs.`, 400);
+  }
+
+  const modelId = typeof model === 'string' ? model.trim() : '';
+  if (modelId && provider.models.length && !provider.models.includes(modelId)) {
+    throw createMusicError(`Unknown model "${model}" for ${provider.name}. Use ${provider.models.join(', ')}.`, 400);
+  }
+
+  const cleanTitle = typeof title === 'string' ? title.replace(/\s+/g, ' ').trim() : '';
+  if (cleanTitle.length > MAX_TITLE_CHARS) {
+    throw createMusicError(`Song titles can be at most ${MAX_TITLE_CHARS} characters.`, 400);
+  }
+
+  const seconds = continueAt === undefined || continueAt === null || continueAt === '' ? null : Number(continueAt);
+  if (seconds !== null && !(Number.isFinite(seconds) && seconds >= 0)) {
+    throw createMusicError('continueAt must be a number of seconds.', 400);
+  }
+
+  return {
+    mode: id,
+    model: modelId || null,
+    title: cleanTitle,
+    continueAt: id === 'extend' ? seconds : null,
+    needsSourceClip: SOURCE_CLIP_MODES.has(id),
+  };
+}
+
+// Starts a song. Resolves to { provider, taskIds, clipIds, raw }.
+async function createMusicTask(request) {
+  const provider = getMusicProvider();
+  const created = await provider.create(request);
+  console.log(`[${provider.name} create] parsed ids:`, { taskIds: created.taskIds, clipIds: created.clipIds });
+  return { provider: provider.name, ...created };
+}
+
+// Resolves to { taskId, state, clips } where state is pending, streaming, complete or failed.
+async function getMusicTaskStatus(taskId) {
+  return getMusicProvider().getStatus(taskId);
+}
+
+// Recent clips across tasks, for lookups by clip id.
+async function listMusicClips() {
+  return getMusicProvider().list();
+}
+
+// The stub provider's silent MP3 for a clip id, or null.
+function getStubAudio(clipId) {
+  const provider = getMusicProvider();
+  return typeof provider.audio === 'function' ? provider.audio(clipId) : null;
+}
+
+module.exports = {
+  createMusicTask,
+  describeMissingMusicProvider,
+  getMusicTaskStatus,
+  getMusicWebhookUrl,
+  getStubAudio,
+  isFinalMusicState,
+  listMusicClips,
+  listMusicOptions,
+  parseMusicWebhook,
+  resolveMusicOptions,
+  summarizeState,
+  verifyMusicWebhook,
+};
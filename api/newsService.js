@@ -1,134 +1,174 @@
-const https = require('https');
-
-const NEWS_SOURCES = [
-  { url: 'https://feeds.bbci.co.uk/news/world/45795429/rss.xml', source: 'BBC World News' },
-  { url: 'https://feeds.npr.org/1001/rss.xml', source: 'NPR' },
-  { url: 'https://feeds.reuters.com/reuters/worldNews', source: 'Reuters' },
-  { url: 'https://www.theguardian.com/world/rss', source: 'The Guardian' },
-  { url: 'https://www.reddit.com/r/worldnews/.rss', source: 'Reddit r/worldnews' },
-  { url: 'https://www.reddit.com/r/news/.rss', source: 'Reddit r/news'},
-  { url: 'https://www.positive.news/feed/', source: 'Positive News' },
-  // { url: 'https://feeds.npr.org/510338/podcast.xml', source: 'NPR Life Kit' },
-  { url: 'https://feeds.bbci.co.uk/news/health/rss.xml', source: 'BBC Health' }
-  // { url: 'https://www.theonion.com/rss', source: 'The Onion' },
-];
+const { parseFeed } = require('./feedParser');
+const { getEnabledSources } = require('./sourceRegistry');
+const {
+  DEFAULT_FEED_TTL_MS,
+  buildConditionalHeaders,
+  getCachedFeed,
+  isFresh,
+  storeFeed,
+  touchFeed,
+  withPendingFetch,
+} = require('./feedCache');
+const { recordFetchFailure, recordFetchSuccess, shouldSkipSource } = require('./feedHealth');
+const { safeFetch } = require('./safeFetch');
 
 const DEFAULT_LIMIT = 165;
-
-function decodeEntities(text) {
-  return text
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'");
+const MAX_FEED_BYTES = 4 * 1024 * 1024;
+const FEED_ACCEPT_HEADER =
+  'application/rss+xml, application/atom+xml, application/feed+json, application/json;q=0.9, application/xml;q=0.8, text/xml;q=0.8';
+
+function createFetchError(status) {
+  const err = new Error(`Request failed with status ${status}`);
+  err.status = status;
+  return err;
 }
 
-function extractTagValue(xml, tagName) {
-  const cdataPattern = new RegExp(`<${tagName}><!\\[CDATA\\[(.*?)\\]\\]><\\/${tagName}>`, 'i');
-  const standardPattern = new RegExp(`<${tagName}>(.*?)<\\/${tagName}>`, 'i');
-
-  const cdataMatch = xml.match(cdataPattern);
-  if (cdataMatch) {
-    return decodeEntities(cdataMatch[1]);
-  }
+async function fetchXml(url, extraHeaders = {}) {
+  const response = await safeFetch(url, {
+    headers: {
+      'User-Agent': 'Daily-Spin/1.0 (+https://example.com)',
+      Accept: FEED_ACCEPT_HEADER,
+      'Accept-Encoding': 'gzip, deflate, br',
+      ...extraHeaders,
+    },
+    maxBytes: MAX_FEED_BYTES,
+  });
 
-  const standardMatch = xml.match(standardPattern);
-  if (standardMatch) {
-    return decodeEntities(standardMatch[1]);
+  if (!response.ok && response.status !== 304) {
+    throw createFetchError(response.status);
   }
 
-  return '';
-}
-
-function stripHtml(text) {
-  return text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return {
+    status: response.status,
+    body: response.status === 304 ? '' : await response.text(),
+    etag: response.headers.get('etag') || '',
+    lastModified: response.headers.get('last-modified') || '',
+  };
 }
 
-function parseFeed(xml, limit) {
-  const items = [];
-  const itemPattern = /<item>([\s\S]*?)<\/item>/gi;
-  let match;
+// Serves the feed from cache while its TTL holds, revalidates with a conditional GET
+// once it expires, and falls back to the stale copy if the upstream request fails.
+// Every upstream attempt is recorded in the source's health record.
+async function loadFeedBody({ id, name, url, ttlSeconds }) {
+  const ttlMs = Number.isFinite(ttlSeconds) && ttlSeconds > 0 ? ttlSeconds * 1000 : DEFAULT_FEED_TTL_MS;
+  const cached = getCachedFeed(url);
+  if (isFresh(cached)) {
+    return cached.body;
+  }
 
-  while (items.length < limit && (match = itemPattern.exec(xml)) !== null) {
-    const itemXml = match[1];
-    const headline = stripHtml(extractTagValue(itemXml, 'title'));
-    const summary = stripHtml(extractTagValue(itemXml, 'description'));
-    const link = extractTagValue(itemXml, 'link');
+  if (shouldSkipSource(id)) {
+    if (cached) return cached.body;
+    throw new Error('Source is backing off after repeated failures.');
+  }
 
-    if (headline) {
-      items.push({ headline, summary, link });
+  return withPendingFetch(url, async () => {
+    const startedAt = Date.now();
+    try {
+      const response = await fetchXml(url, buildConditionalHeaders(cached));
+      const entry = response.status === 304 && cached
+        ? touchFeed(url, response, ttlMs)
+        : storeFeed(url, response, ttlMs);
+
+      const itemCount = parseFeed(entry.body, Number.POSITIVE_INFINITY).length;
+      const latencyMs = Date.now() - startedAt;
+      if (itemCount) {
+        recordFetchSuccess(id, { status: response.status, itemCount, latencyMs });
+      } else {
+        recordFetchFailure(id, { error: 'Feed returned no stories.', status: response.status, latencyMs });
+      }
+      return entry.body;
+    } catch (error) {
+      recordFetchFailure(id, { error, latencyMs: Date.now() - startedAt });
+      if (cached) {
+        console.warn(`Serving cached ${name} feed after upstream failure:`, error.message);
+        return cached.body;
+      }
+      throw error;
     }
-  }
+  });
+}
 
-  return items;
+// Registrable part of a hostname ("www.bbc.co.uk" -> "bbc.co.uk"), close enough for
+// matching article links against the sites the feeds point at.
+function siteDomain(hostname) {
+  const labels = String(hostname || '').toLowerCase().replace(/\.$/, '').split('.');
+  if (labels.length <= 2) return labels.join('.');
+  const secondLevel = labels[labels.length - 2];
+  const keep = labels[labels.length - 1].length === 2 && /^(ac|co|com|edu|gov|net|org)$/.test(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
 }
 
-function fetchWithHttps(url) {
-  return new Promise((resolve, reject) => {
-    https
-      .get(url, {
-        headers: {
-          'User-Agent': 'Daily-Spin/1.0 (+https://example.com)',
-          Accept: 'application/rss+xml, application/xml',
-        },
-      })
-      .on('response', (res) => {
-        if (res.statusCode && res.statusCode >= 400) {
-          res.resume();
-          reject(new Error(`Request failed with status ${res.statusCode}`));
-          return;
-        }
-
-        const chunks = [];
-        res.on('data', (chunk) => chunks.push(chunk));
-        res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
-      })
-      .on('error', (error) => reject(error));
+// Site domains of every configured feed and of the story links those feeds returned.
+const knownStoryDomains = new Set();
+
+function rememberStoryDomains(stories) {
+  stories.forEach((story) => {
+    try {
+      knownStoryDomains.add(siteDomain(new URL(story.link).hostname));
+    } catch {
+      // Feeds occasionally carry relative or malformed links; nothing to remember.
+    }
   });
 }
 
-function fetchXml(url) {
-  if (typeof fetch === 'function') {
-    return fetch(url, {
-      headers: {
-        'User-Agent': 'Daily-Spin/1.0 (+https://example.com)',
-        Accept: 'application/rss+xml, application/xml',
-      },
-    })
-      .then((response) => {
-        if (!response.ok) {
-          throw new Error(`Request failed with status ${response.status}`);
-        }
-        return response.text();
-      })
-      .catch((error) => {
-        console.warn('Standard fetch failed, retrying with HTTPS module:', error.message);
-        return fetchWithHttps(url);
-      });
-  }
-
-  return fetchWithHttps(url);
+function isKnownStoryHost(hostname) {
+  const domain = siteDomain(hostname);
+  if (knownStoryDomains.has(domain)) return true;
+  return getEnabledSources().some((source) => {
+    try {
+      return siteDomain(new URL(source.url).hostname) === domain;
+    } catch {
+      return false;
+    }
+  });
 }
 
-async function fetchSourceStories({ url, source }, limit) {
+async function fetchSourceStories(entry, limit) {
+  const { id, name, category, region } = entry;
   try {
-    const xml = await fetchXml(url);
-    return parseFeed(xml, limit).map((story) => ({ ...story, source }));
+    const body = await loadFeedBody(entry);
+    const stories = parseFeed(body, limit).map((story) => ({
+      ...story,
+      source: name,
+      sourceId: id,
+      sourceCategory: category,
+      sourceRegion: region,
+    }));
+    rememberStoryDomains(stories);
+    return stories;
   } catch (error) {
-    console.error(`Unable to retrieve latest news from ${source}:`, error.message);
+    console.error(`Unable to retrieve latest news from ${name}:`, error.message);
     return [];
   }
 }
 
-async function fetchTopNews(limit = DEFAULT_LIMIT) {
+function storyTimestamp(story) {
+  const value = Date.parse(story.publishedAt || story.updatedAt || '');
+  return Number.isNaN(value) ? null : value;
+}
+
+// Newest first across every source; undated stories keep their feed order at the end.
+function sortStoriesByRecency(stories) {
+  return stories
+    .map((story, index) => ({ story, index, timestamp: storyTimestamp(story) }))
+    .sort((a, b) => {
+      if (a.timestamp === null && b.timestamp === null) return a.index - b.index;
+      if (a.timestamp === null) return 1;
+      if (b.timestamp === null) return -1;
+      return b.timestamp - a.timestamp || a.index - b.index;
+    })
+    .map(({ story }) => story);
+}
+
+async function fetchTopNews(limit = DEFAULT_LIMIT, { sourceIds = [] } = {}) {
   const results = await Promise.all(
-    NEWS_SOURCES.map((entry) => fetchSourceStories(entry, limit)),
+    getEnabledSources(sourceIds).map((entry) => fetchSourceStories(entry, limit)),
   );
 
-  return results.flat();
+  return sortStoriesByRecency(results.flat());
 }
 
 module.exports = {
   fetchTopNews,
+  isKnownStoryHost,
 };
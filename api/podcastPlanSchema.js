@@ -0,0 +1,103 @@
+// JSON schema for the podcast planner's reply. It is sent to providers that support
+// structured output (without the keywords strict mode rejects) and also used to validate
+// whatever comes back.
+const PODCAST_PLAN_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['overview_script', 'selections'],
+  properties: {
+    overview_script: { type: 'string', minLength: 1 },
+    selections: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 3,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['headline', 'source', 'reason', 'host_script'],
+        properties: {
+          headline: { type: 'string', minLength: 1 },
+          source: { type: 'string' },
+          reason: { type: 'string' },
+          host_script: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+  },
+};
+
+// Keywords OpenAI's strict mode may reject with a 400. They are left out of the schema
+// sent to providers and still checked by validateSchema.
+const LOCAL_ONLY_KEYWORDS = new Set(['minItems', 'maxItems', 'minLength']);
+
+function toProviderSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toProviderSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => !LOCAL_ONLY_KEYWORDS.has(key))
+    .map(([key, value]) => [key, key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toProviderSchema(property)]))
+      : toProviderSchema(value)]));
+}
+
+// OpenAI-style response_format requesting the schema above.
+const PODCAST_PLAN_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'podcast_plan', strict: true, schema: toProviderSchema(PODCAST_PLAN_SCHEMA) },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Validates the subset of JSON schema used above (type, required, properties,
+// additionalProperties, items, min/maxItems, minLength). Returns readable error strings
+// with JSON-pointer-ish paths, suitable for feeding back to the model.
+function validateSchema(value, schema, at = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type && actual !== schema.type) {
+    return [`${at} must be ${schema.type === 'object' || schema.type === 'array' ? 'an' : 'a'} ${schema.type} (got ${actual})`];
+  }
+
+  if (schema.type === 'string' && Number.isInteger(schema.minLength) && value.trim().length < schema.minLength) {
+    errors.push(`${at} must not be empty`);
+  }
+
+  if (schema.type === 'array') {
+    if (Number.isInteger(schema.minItems) && value.length < schema.minItems) {
+      errors.push(`${at} must have at least ${schema.minItems} items (got ${value.length})`);
+    }
+    if (Number.isInteger(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push(`${at} must have at most ${schema.maxItems} items (got ${value.length})`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+    }
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${at}.${key} is required`);
+    });
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(value[key], properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  PODCAST_PLAN_RESPONSE_FORMAT,
+  PODCAST_PLAN_SCHEMA,
+  validateSchema,
+};
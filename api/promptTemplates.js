@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROMPTS_FILE = path.join(__dirname, '..', 'config', 'prompts.json');
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+let promptsCache = null;
+
+function createPromptError(message, status) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  return err;
+}
+
+function getPromptsFile() {
+  return process.env.PROMPTS_FILE || DEFAULT_PROMPTS_FILE;
+}
+
+// Prompts are read once; unlike the LLM config there is no built-in default to fall back
+// to, so a missing or broken file is a server error (500), never blamed on the request.
+// The server loads them at startup so the problem is logged before the first request.
+function loadPrompts() {
+  if (promptsCache) return promptsCache;
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(getPromptsFile(), 'utf8'));
+  } catch (error) {
+    throw createPromptError(`Unable to load prompts from ${getPromptsFile()}: ${error.message}`, 500);
+  }
+  promptsCache = {
+    defaultLyricStyle: parsed.defaultLyricStyle || 'factual',
+    lyricStyles: parsed.lyricStyles || {},
+    templates: parsed.templates || {},
+  };
+  return promptsCache;
+}
+
+// Fills {{placeholders}} line by line. A line whose placeholders all render empty is
+// dropped, so optional fields ("Source: {{source}}") disappear instead of leaving a stub.
+function renderLines(lines, values) {
+  return (lines || [])
+    .map((line) => {
+      let hasPlaceholder = false;
+      let filled = false;
+      const text = line.replace(PLACEHOLDER_PATTERN, (_, key) => {
+        hasPlaceholder = true;
+        const value = values[key] === undefined || values[key] === null ? '' : String(values[key]);
+        if (value.trim()) filled = true;
+        return value;
+      });
+      return hasPlaceholder && !filled ? null : text;
+    })
+    .filter((line) => line !== null);
+}
+
+// System lines read as one paragraph; user lines keep their layout.
+function buildMessages(template, values) {
+  const messages = [];
+  const system = renderLines(template.system, values).join(' ').trim();
+  if (system) messages.push({ role: 'system', content: system });
+  const user = renderLines(template.user, values).join('\n').trim();
+  if (user) messages.push({ role: 'user', content: user });
+  return messages;
+}
+
+function listLyricStyles() {
+  const { lyricStyles } = loadPrompts();
+  return Object.entries(lyricStyles).map(([id, style]) => ({
+    id,
+    label: style.label || id,
+    version: style.version || 1,
+    maxChars: style.maxChars,
+  }));
+}
+
+// Returns the style id for a requested style, the default for an empty one, and throws a
+// 400 for anything unknown so a typo is not silently rendered as the default style.
+function resolveLyricStyle(requested) {
+  const { defaultLyricStyle, lyricStyles } = loadPrompts();
+  const id = typeof requested === 'string' ? requested.trim().toLowerCase() : '';
+  if (!id) return defaultLyricStyle;
+  if (!lyricStyles[id]) {
+    throw createPromptError(`Unknown lyric style "${requested}". Choose one of: ${Object.keys(lyricStyles).join(', ')}.`, 400);
+  }
+  return id;
+}
+
+// Renders the article-lyrics prompt for a style. `lengthScale` shrinks the style's
+// character limit for scripts that pack more into each character. Resolves to
+// { messages, style, maxChars, promptVersion } where promptVersion reads "lyrics/<style>@<version>".
+function renderLyricsPrompt(style, values = {}, { lengthScale = 1 } = {}) {
+  const id = resolveLyricStyle(style);
+  const template = loadPrompts().lyricStyles[id];
+  const maxChars = Math.round(template.maxChars * lengthScale);
+  return {
+    messages: buildMessages(template, { ...values, maxChars }),
+    style: id,
+    maxChars,
+    promptVersion: `lyrics/${id}@${template.version || 1}`,
+  };
+}
+
+// Renders a named template from `templates`. Resolves to { messages, promptVersion }.
+function renderPrompt(name, values = {}) {
+  const template = loadPrompts().templates[name];
+  if (!template) throw createPromptError(`Unknown prompt template "${name}".`, 500);
+  return {
+    messages: buildMessages(template, values),
+    promptVersion: `${name}@${template.version || 1}`,
+  };
+}
+
+function getLyricStyle(style) {
+  const id = resolveLyricStyle(style);
+  return { id, ...loadPrompts().lyricStyles[id] };
+}
+
+module.exports = {
+  getLyricStyle,
+  listLyricStyles,
+  loadPrompts,
+  renderLyricsPrompt,
+  renderPrompt,
+  resolveLyricStyle,
+};
@@ -0,0 +1,258 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const zlib = require('zlib');
+const { decodeBody } = require('./textDecoding');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+function createFetchError(message, status, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function parseIPv4(address) {
+  const parts = address.split('.').map((part) => Number.parseInt(part, 10));
+  return parts.length === 4 && parts.every((part) => part >= 0 && part <= 255) ? parts : null;
+}
+
+function isPrivateIPv4(address) {
+  const parts = parseIPv4(address);
+  if (!parts) return true;
+  const [a, b] = parts;
+
+  return a === 0 // "this" network
+    || a === 10
+    || a === 127
+    || (a === 100 && b >= 64 && b <= 127) // carrier-grade NAT
+    || (a === 169 && b === 254) // link-local, including cloud metadata endpoints
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || (a === 192 && b === 0 && parts[2] === 0)
+    || (a === 198 && (b === 18 || b === 19)) // benchmarking
+    || a >= 224; // multicast and reserved
+}
+
+function isPrivateIPv6(address) {
+  const lower = address.toLowerCase().split('%')[0];
+
+  // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible forms inherit the IPv4 verdict.
+  const mapped = lower.match(/^(?:0*:)*(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateIPv4(mapped[1]);
+
+  const hexMapped = lower.match(/^(?:0*:)*ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hexMapped) {
+    const high = Number.parseInt(hexMapped[1], 16);
+    const low = Number.parseInt(hexMapped[2], 16);
+    return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  return lower === '::'
+    || lower === '::1'
+    || /^f[cd]/.test(lower) // unique local
+    || /^fe[89ab]/.test(lower) // link-local
+    || /^ff/.test(lower) // multicast
+    || /^64:ff9b:/.test(lower) // NAT64 can reach IPv4 internals
+    || /^2001:db8:/.test(lower); // documentation
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return isPrivateIPv4(address);
+  if (family === 6) return isPrivateIPv6(address);
+  return true;
+}
+
+// Used as the socket's DNS lookup, so the address is checked at connect time for
+// every request and redirect. Checking before the request and connecting later
+// would let a short-TTL record swap in an internal address (DNS rebinding).
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const list = Array.isArray(addresses) ? addresses : [{ address: addresses, family: options.family || 4 }];
+    const blocked = list.find((entry) => isPrivateAddress(entry.address));
+    if (!list.length || blocked) {
+      callback(createFetchError(`Refusing to connect to a private or local address for ${hostname}.`, 403, 'ADDRESS_NOT_ALLOWED'));
+      return;
+    }
+
+    if (options.all) {
+      callback(null, list);
+    } else {
+      callback(null, list[0].address, list[0].family);
+    }
+  });
+}
+
+function assertAllowedUrl(target, allowHost) {
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw createFetchError(`Only http(s) URLs can be fetched (got ${target.protocol}).`, 400, 'PROTOCOL_NOT_ALLOWED');
+  }
+
+  if (target.username || target.password) {
+    throw createFetchError('URLs with embedded credentials are not allowed.', 400, 'URL_NOT_ALLOWED');
+  }
+
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw createFetchError(`Refusing to fetch private or local address ${hostname}.`, 403, 'ADDRESS_NOT_ALLOWED');
+  }
+
+  if (/^localhost$|\.localhost$|\.local$|\.internal$/i.test(hostname)) {
+    throw createFetchError(`Refusing to fetch internal host ${hostname}.`, 403, 'ADDRESS_NOT_ALLOWED');
+  }
+
+  if (allowHost && !allowHost(hostname.toLowerCase())) {
+    throw createFetchError(`The host ${hostname} is not an allowed source.`, 403, 'HOST_NOT_ALLOWED');
+  }
+}
+
+function createDecoder(encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'deflate':
+      return zlib.createInflate();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+function requestOnce(target, { method, headers, deadline, maxBytes }) {
+  return new Promise((resolve, reject) => {
+    const transport = target.protocol === 'https:' ? https : http;
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      reject(createFetchError('Request timed out.', 504, 'TIMEOUT'));
+      return;
+    }
+
+    const req = transport.request(target, { method, headers, lookup: guardedLookup });
+    const timer = setTimeout(() => {
+      req.destroy(createFetchError('Request timed out.', 504, 'TIMEOUT'));
+    }, remaining);
+
+    let settled = false;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+
+    req.on('error', (error) => finish(reject, error));
+    req.on('response', (res) => {
+      const status = res.statusCode || 0;
+      if (REDIRECT_STATUSES.has(status) || method === 'HEAD' || status === 204 || status === 304) {
+        res.resume();
+        finish(resolve, { status, headers: res.headers, body: Buffer.alloc(0) });
+        return;
+      }
+
+      const declared = Number.parseInt(res.headers['content-length'], 10);
+      const decoder = createDecoder(res.headers['content-encoding']);
+      if (!decoder && Number.isFinite(declared) && declared > maxBytes) {
+        finish(reject, createFetchError(`Response exceeds the ${maxBytes} byte limit.`, 413, 'TOO_LARGE'));
+        res.destroy();
+        return;
+      }
+
+      const stream = decoder ? res.pipe(decoder) : res;
+      const chunks = [];
+      let received = 0;
+
+      stream.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          finish(reject, createFetchError(`Response exceeds the ${maxBytes} byte limit.`, 413, 'TOO_LARGE'));
+          res.destroy();
+          if (decoder) decoder.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('end', () => finish(resolve, { status, headers: res.headers, body: Buffer.concat(chunks) }));
+      stream.on('error', (error) => finish(reject, error));
+      res.on('aborted', () => finish(reject, createFetchError('Response was aborted.', 502, 'ABORTED')));
+    });
+
+    req.end();
+  });
+}
+
+function toHeaders(raw) {
+  return {
+    get(name) {
+      const value = raw[String(name).toLowerCase()];
+      return Array.isArray(value) ? value.join(', ') : (value ?? null);
+    },
+    raw,
+  };
+}
+
+// Fetches an untrusted URL: http(s) only, no private or loopback addresses (checked
+// again on every redirect), a redirect cap, a body size cap and an overall timeout.
+// `allowHost(hostname)` can narrow the permitted hosts further.
+async function safeFetch(url, {
+  method = 'GET',
+  headers = {},
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  allowHost = null,
+} = {}) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    throw createFetchError('The URL is not valid.', 400, 'INVALID_URL');
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  let currentMethod = method;
+
+  for (let redirects = 0; ; redirects++) {
+    assertAllowedUrl(target, allowHost);
+
+    const response = await requestOnce(target, { method: currentMethod, headers, deadline, maxBytes });
+
+    if (REDIRECT_STATUSES.has(response.status) && response.headers.location) {
+      if (redirects >= maxRedirects) {
+        throw createFetchError(`Too many redirects (more than ${maxRedirects}).`, 502, 'TOO_MANY_REDIRECTS');
+      }
+      target = new URL(response.headers.location, target);
+      if (response.status === 303) currentMethod = 'GET';
+      continue;
+    }
+
+    const body = response.body;
+    const contentType = response.headers['content-type'] || '';
+    return {
+      status: response.status,
+      ok: response.status >= 200 && response.status < 300,
+      url: target.toString(),
+      headers: toHeaders(response.headers),
+      body,
+      // Decoded with the charset the response declares, like fetch() in a browser.
+      text: async () => decodeBody(body, contentType),
+    };
+  }
+}
+
+module.exports = {
+  isPrivateAddress,
+  safeFetch,
+};
@@ -0,0 +1,176 @@
+// Section tags in the form Suno's lyric parser understands ([Verse 1], [Chorus], …),
+// plus trimming that drops whole sections instead of cutting through one.
+
+const SECTION_NAMES = {
+  intro: 'Intro',
+  verse: 'Verse',
+  'pre-chorus': 'Pre-Chorus',
+  chorus: 'Chorus',
+  hook: 'Hook',
+  bridge: 'Bridge',
+  outro: 'Outro',
+};
+const DEFAULT_STRUCTURE = ['verse', 'chorus', 'verse', 'chorus', 'bridge', 'chorus'];
+const MAX_SECTIONS = 12;
+// Numbered sections get a number in their tag; the others repeat word for word.
+const NUMBERED_SECTIONS = new Set(['verse']);
+
+const TAG_LINE = /^\s*\**\s*\[([^\]\n]+)\]\s*\**\s*$/;
+const BARE_LABEL_LINE = /^\s*\**\s*(intro|verse|pre-chorus|chorus|hook|bridge|outro)(\s*\d+)?\s*:?\s*\**\s*$/i;
+
+function createStructureError(message, status) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  return err;
+}
+
+// Accepts "verse-chorus-verse-chorus-bridge-chorus" (or commas/spaces between sections)
+// and returns the list of section names; an empty value gives the default structure.
+// Unknown sections are a 400.
+function parseStructure(value) {
+  if (Array.isArray(value)) value = value.join('-');
+  const text = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!text) return [...DEFAULT_STRUCTURE];
+
+  const sections = text
+    .replace(/pre[\s_-]+chorus/g, 'pre~chorus')
+    .split(/[\s,>|/-]+/)
+    .filter(Boolean)
+    .map((section) => section.replace('~', '-'));
+
+  const unknown = sections.filter((section) => !SECTION_NAMES[section]);
+  if (unknown.length) {
+    throw createStructureError(
+      `Unknown song section "${unknown[0]}". Use ${Object.keys(SECTION_NAMES).join(', ')}.`,
+      400,
+    );
+  }
+  if (sections.length > MAX_SECTIONS) {
+    throw createStructureError(`A song structure can have at most ${MAX_SECTIONS} sections.`, 400);
+  }
+  return sections;
+}
+
+// ["verse", "chorus", "verse"] -> ["Verse 1", "Chorus", "Verse 2"].
+function sectionTags(structure) {
+  const counts = {};
+  return structure.map((section) => {
+    if (!NUMBERED_SECTIONS.has(section)) return SECTION_NAMES[section];
+    counts[section] = (counts[section] || 0) + 1;
+    return `${SECTION_NAMES[section]} ${counts[section]}`;
+  });
+}
+
+// "[Verse 1], [Chorus], [Verse 2]" for prompts.
+function describeStructure(structure) {
+  return sectionTags(structure).map((tag) => `[${tag}]`).join(', ');
+}
+
+function formatStructure(structure) {
+  return structure.join('-');
+}
+
+function isChorus(section) {
+  return /^(chorus|hook)\b/i.test(section.tag || '');
+}
+
+function normalizeParagraph(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Splits tagged lyrics into [{ tag, body }]; text before the first tag has tag ''.
+function parseSections(lyrics) {
+  const sections = [];
+  let current = { tag: '', lines: [] };
+
+  String(lyrics || '').split('\n').forEach((line) => {
+    const tagMatch = line.match(TAG_LINE);
+    const labelMatch = tagMatch ? null : line.match(BARE_LABEL_LINE);
+    if (tagMatch || labelMatch) {
+      sections.push(current);
+      const tag = tagMatch
+        ? tagMatch[1].trim()
+        : `${SECTION_NAMES[labelMatch[1].toLowerCase()]}${labelMatch[2] ? ` ${labelMatch[2].trim()}` : ''}`;
+      current = { tag, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  sections.push(current);
+
+  return sections
+    .map(({ tag, lines }) => ({ tag, body: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() }))
+    .filter(({ tag, body }) => tag || body);
+}
+
+// Lyrics that came back without tags are labelled by paragraph: a paragraph that
+// repeats is the chorus, the others are numbered verses.
+function ensureSectionTags(lyrics) {
+  const sections = parseSections(lyrics);
+  if (sections.some(({ tag }) => tag)) return sections;
+
+  const paragraphs = String(lyrics || '').split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+  const counts = new Map();
+  paragraphs.forEach((p) => counts.set(normalizeParagraph(p), (counts.get(normalizeParagraph(p)) || 0) + 1));
+
+  let verse = 0;
+  return paragraphs.map((body) => {
+    if (counts.get(normalizeParagraph(body)) > 1) return { tag: 'Chorus', body };
+    verse += 1;
+    return { tag: `Verse ${verse}`, body };
+  });
+}
+
+function formatSections(sections) {
+  return sections
+    .map(({ tag, body }) => [tag ? `[${tag}]` : '', body].filter(Boolean).join('\n'))
+    .join('\n\n');
+}
+
+// Last resort for a single section longer than the limit: end on a whole line, or at
+// least a whole word.
+function cutAtBoundary(text, max) {
+  if (text.length <= max) return text;
+  const slice = text.slice(0, max);
+  const lineEnd = slice.lastIndexOf('\n');
+  if (lineEnd > max / 2) return slice.slice(0, lineEnd).trimEnd();
+  const wordEnd = slice.search(/\s+\S*$/);
+  return (wordEnd > 0 ? slice.slice(0, wordEnd) : slice).trimEnd();
+}
+
+// Tags the lyrics if needed and keeps them within `max` characters by dropping whole
+// sections from the end. When that removes the final chorus, later sections give way so
+// the song can still finish on it.
+function fitLyrics(lyrics, max) {
+  if (typeof lyrics !== 'string' || !lyrics.trim()) return '';
+
+  const sections = ensureSectionTags(lyrics.trim());
+  const full = formatSections(sections);
+  if (full.length <= max) return full;
+
+  const kept = [];
+  for (const section of sections) {
+    if (formatSections([...kept, section]).length > max) break;
+    kept.push(section);
+  }
+
+  const chorus = sections.find(isChorus);
+  if (chorus && kept.length) {
+    while (kept.length > 1 && !isChorus(kept[kept.length - 1]) && formatSections([...kept, chorus]).length > max) {
+      kept.pop();
+    }
+    if (!isChorus(kept[kept.length - 1]) && formatSections([...kept, chorus]).length <= max) {
+      kept.push(chorus);
+    }
+  }
+
+  return kept.length ? formatSections(kept) : cutAtBoundary(formatSections(sections.slice(0, 1)), max);
+}
+
+module.exports = {
+  DEFAULT_STRUCTURE,
+  describeStructure,
+  fitLyrics,
+  formatStructure,
+  parseStructure,
+};
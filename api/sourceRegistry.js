@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SOURCES_FILE = path.join(__dirname, '..', 'config', 'news-sources.json');
+
+const DEFAULT_TTL_SECONDS = 600;
+
+let sourcesCache = null;
+
+function getSourcesFile() {
+  return process.env.NEWS_SOURCES_FILE || DEFAULT_SOURCES_FILE;
+}
+
+function createRegistryError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function slugify(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function isHttpUrl(value) {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function normalizeSource(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const url = typeof entry.url === 'string' ? entry.url.trim() : '';
+  const name = typeof entry.name === 'string' && entry.name.trim()
+    ? entry.name.trim()
+    : (typeof entry.source === 'string' ? entry.source.trim() : '');
+  const id = slugify(entry.id || name);
+
+  if (!id || !url) return null;
+
+  return {
+    id,
+    name: name || id,
+    url,
+    category: slugify(entry.category) || 'general',
+    region: slugify(entry.region) || 'global',
+    ttlSeconds: Number.isFinite(Number(entry.ttlSeconds)) && Number(entry.ttlSeconds) > 0
+      ? Math.round(Number(entry.ttlSeconds))
+      : DEFAULT_TTL_SECONDS,
+    enabled: entry.enabled !== false,
+  };
+}
+
+function loadSources() {
+  if (sourcesCache) return sourcesCache;
+
+  const file = getSourcesFile();
+  let entries = [];
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    entries = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.sources) ? parsed.sources : []);
+  } catch (error) {
+    console.error(`Unable to read news sources from ${file}:`, error.message);
+  }
+
+  const seen = new Set();
+  sourcesCache = entries
+    .map(normalizeSource)
+    .filter((source) => {
+      if (!source || seen.has(source.id)) return false;
+      seen.add(source.id);
+      return true;
+    });
+
+  return sourcesCache;
+}
+
+function saveSources(sources) {
+  sourcesCache = sources;
+
+  try {
+    fs.writeFileSync(getSourcesFile(), `${JSON.stringify(sources, null, 2)}\n`, 'utf8');
+  } catch (error) {
+    // Read-only deployments (e.g. Vercel) keep the change for the life of the process only.
+    console.warn('Unable to persist news sources, keeping changes in memory:', error.message);
+  }
+}
+
+function parseSourceIds(value) {
+  const raw = Array.isArray(value) ? value.join(',') : value;
+  if (typeof raw !== 'string') return [];
+
+  return [...new Set(raw.split(',').map(slugify).filter(Boolean))];
+}
+
+function listSources() {
+  return loadSources().map((source) => ({ ...source }));
+}
+
+function getSource(id) {
+  const key = slugify(id);
+  const match = loadSources().find((source) => source.id === key);
+  return match ? { ...match } : null;
+}
+
+// Enabled sources, optionally narrowed to the requested ids.
+function getEnabledSources(ids = []) {
+  const wanted = new Set(parseSourceIds(ids));
+  return loadSources()
+    .filter((source) => source.enabled && (!wanted.size || wanted.has(source.id)))
+    .map((source) => ({ ...source }));
+}
+
+function addSource(entry) {
+  const source = normalizeSource(entry);
+  if (!source) {
+    throw createRegistryError('A source requires a name (or id) and a feed url.', 400);
+  }
+
+  if (!isHttpUrl(source.url)) {
+    throw createRegistryError('Source url must be an http(s) URL.', 400);
+  }
+
+  const sources = loadSources();
+  if (sources.some((existing) => existing.id === source.id)) {
+    throw createRegistryError(`A source with id "${source.id}" already exists.`, 409);
+  }
+
+  saveSources([...sources, source]);
+  return { ...source };
+}
+
+function setSourceEnabled(id, enabled) {
+  const key = slugify(id);
+  const sources = loadSources();
+  const index = sources.findIndex((source) => source.id === key);
+
+  if (index === -1) {
+    throw createRegistryError(`Unknown news source "${id}".`, 404);
+  }
+
+  const updated = { ...sources[index], enabled: Boolean(enabled) };
+  saveSources(sources.map((source, i) => (i === index ? updated : source)));
+  return { ...updated };
+}
+
+module.exports = {
+  addSource,
+  getEnabledSources,
+  getSource,
+  listSources,
+  parseSourceIds,
+  setSourceEnabled,
+};
@@ -0,0 +1,137 @@
+const CLUSTER_THRESHOLD = 0.42;
+const MIN_SHARED_TOKENS = 2;
+// Each story is compared with every cluster, so clustering is O(stories × clusters); capping
+// the members compared per cluster keeps a large cluster from costing more than a small one.
+const MAX_COMPARED_MEMBERS = 3;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'again', 'against', 'all', 'also', 'amid', 'an', 'and', 'are', 'as', 'at',
+  'be', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'how', 'in', 'into', 'is', 'it', 'its', 'just', 'live',
+  'may', 'more', 'new', 'news', 'not', 'now', 'of', 'on', 'one', 'or', 'our', 'out', 'over', 'says',
+  'said', 'she', 'so', 'than', 'that', 'the', 'their', 'them', 'there', 'they', 'this', 'to', 'two',
+  'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'would', 'you', 'your',
+]);
+
+function tokenize(text) {
+  if (!text) return new Set();
+
+  const words = text
+    .normalize('NFKD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(/\s+/)
+    // Crude plural folding so "strike"/"strikes" and "talk"/"talks" line up.
+    .map((word) => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word));
+
+  return new Set(words);
+}
+
+function countShared(a, b) {
+  let overlap = 0;
+  for (const word of a) if (b.has(word)) overlap++;
+  return overlap;
+}
+
+// Dice coefficient: like scoreSimilarity, but symmetric in the two set sizes.
+function dice(a, b) {
+  if (!a.size || !b.size) return 0;
+  return (2 * countShared(a, b)) / (a.size + b.size);
+}
+
+function buildFingerprint(story) {
+  const title = tokenize(story.headline);
+  const summary = tokenize(story.summary);
+  return { title, combined: new Set([...title, ...summary]) };
+}
+
+function scoreStorySimilarity(a, b) {
+  const shared = countShared(a.combined, b.combined);
+  if (shared < MIN_SHARED_TOKENS) return 0;
+
+  const titleScore = dice(a.title, b.title);
+  const combinedScore = dice(a.combined, b.combined);
+  return Math.max(titleScore, 0.6 * titleScore + 0.4 * combinedScore);
+}
+
+// The member most similar to the rest of its cluster stands in for it.
+function pickRepresentative(members) {
+  if (members.length < 3) return members[0];
+
+  let best = members[0];
+  let bestScore = -1;
+
+  for (const candidate of members) {
+    let total = 0;
+    for (const other of members) {
+      if (other !== candidate) total += scoreStorySimilarity(candidate.fingerprint, other.fingerprint);
+    }
+    if (total > bestScore) {
+      bestScore = total;
+      best = candidate;
+    }
+  }
+
+  return best;
+}
+
+function buildClusterId(story) {
+  const basis = story.guid || story.link || `${story.source || ''}:${story.headline || ''}`;
+  let hash = 0;
+  for (let i = 0; i < basis.length; i++) {
+    hash = (hash * 31 + basis.charCodeAt(i)) >>> 0;
+  }
+  return `c${hash.toString(36)}`;
+}
+
+// Groups stories that report the same event. Input order is preserved, so passing
+// newest-first stories yields clusters ordered by their newest member. Each cluster
+// names its `representative` and lists its members with the representative first.
+function clusterStories(stories) {
+  const clusters = [];
+
+  for (const story of stories) {
+    if (!story?.headline) continue;
+
+    const entry = { story, fingerprint: buildFingerprint(story) };
+    let bestCluster = null;
+    let bestScore = 0;
+
+    for (const cluster of clusters) {
+      for (const member of cluster.members.slice(0, MAX_COMPARED_MEMBERS)) {
+        const score = scoreStorySimilarity(entry.fingerprint, member.fingerprint);
+        if (score > bestScore) {
+          bestScore = score;
+          bestCluster = cluster;
+        }
+      }
+    }
+
+    if (bestCluster && bestScore >= CLUSTER_THRESHOLD) {
+      bestCluster.members.push(entry);
+    } else {
+      clusters.push({ members: [entry] });
+    }
+  }
+
+  return clusters.map(({ members }) => {
+    const representative = pickRepresentative(members);
+    const ordered = [representative, ...members.filter((member) => member !== representative)];
+    const sources = new Set(ordered.map(({ story }) => story.sourceId || story.source || ''));
+
+    return {
+      id: buildClusterId(representative.story),
+      sourceCount: sources.size,
+      representative: representative.story,
+      stories: ordered.map(({ story }) => story),
+    };
+  });
+}
+
+module.exports = {
+  clusterStories,
+};
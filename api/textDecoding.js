@@ -0,0 +1,101 @@
+const { decodeHTML } = require('entities');
+
+// Only the start of a document is searched for an in-band charset declaration, as browsers do.
+const SNIFF_BYTES = 2048;
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: 'utf-8' },
+  { bytes: [0xfe, 0xff], charset: 'utf-16be' },
+  { bytes: [0xff, 0xfe], charset: 'utf-16le' },
+];
+
+// Windows-1252 characters for bytes 0x80–0x9F. Node's TextDecoder decodes the label
+// as plain latin1, which turns curly quotes and dashes into invisible C1 controls.
+const WINDOWS_1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178,
+];
+
+// Full HTML5 named and numeric character reference decoding (including the legacy
+// forms without a trailing semicolon, such as "&copy").
+function decodeEntities(text) {
+  return typeof text === 'string' ? decodeHTML(text) : '';
+}
+
+function normalizeCharset(label) {
+  const value = String(label || '').trim().replace(/^["']|["']$/g, '').toLowerCase();
+  if (!value) return '';
+  try {
+    return new TextDecoder(value).encoding;
+  } catch {
+    return '';
+  }
+}
+
+function charsetFromContentType(contentType) {
+  const match = String(contentType || '').match(/charset\s*=\s*("?)([^";,\s]+)\1/i);
+  return match ? normalizeCharset(match[2]) : '';
+}
+
+function charsetFromBom(buffer) {
+  const bom = BOMS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+  return bom ? bom.charset : '';
+}
+
+// <meta charset>, <meta http-equiv="Content-Type" content="...; charset=..."> and the
+// XML declaration's encoding attribute. The head is read as latin1 so any byte survives.
+function charsetFromMarkup(buffer) {
+  const head = buffer.subarray(0, SNIFF_BYTES).toString('latin1');
+
+  const metaCharset = head.match(/<meta\b[^>]*\scharset\s*=\s*["']?([\w:.-]+)/i);
+  if (metaCharset) return normalizeCharset(metaCharset[1]);
+
+  const xmlDeclaration = head.match(/^\s*<\?xml\b[^>]*\bencoding\s*=\s*["']([\w:.-]+)["']/i);
+  if (xmlDeclaration) return normalizeCharset(xmlDeclaration[1]);
+
+  return '';
+}
+
+// Picks the charset the way browsers do: byte-order mark, then the Content-Type header,
+// then a declaration inside the document. Returns '' when nothing declares one.
+function detectCharset(buffer, contentType = '') {
+  return charsetFromBom(buffer) || charsetFromContentType(contentType) || charsetFromMarkup(buffer);
+}
+
+function decodeWith(charset, buffer) {
+  if (charset !== 'windows-1252') {
+    return new TextDecoder(charset).decode(buffer);
+  }
+  let text = '';
+  for (const byte of buffer) {
+    text += String.fromCharCode(byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252_HIGH[byte - 0x80] : byte);
+  }
+  return text;
+}
+
+function decodeBody(buffer, contentType = '') {
+  if (!buffer || !buffer.length) return '';
+
+  const charset = detectCharset(buffer, contentType);
+  if (charset) {
+    // UTF-16 pages declared in markup are really ASCII-compatible; browsers treat them as UTF-8.
+    const effective = charset.startsWith('utf-16') && !charsetFromBom(buffer) && !charsetFromContentType(contentType)
+      ? 'utf-8'
+      : charset;
+    return decodeWith(effective, buffer);
+  }
+
+  // Undeclared pages are usually UTF-8; anything that is not valid UTF-8 is almost
+  // always Windows-1252 (which is also what "iso-8859-1" means on the web).
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return decodeWith('windows-1252', buffer);
+  }
+}
+
+module.exports = {
+  decodeBody,
+  decodeEntities,
+  detectCharset,
+};
@@ -0,0 +1,28 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { checkLyricsAgainstArticle } = require('../api/lyricsFactCheck');
+
+const unsupportedNumbers = (lyrics, article) => checkLyricsAgainstArticle(lyrics, article, { properNouns: false })
+  .unsupportedClaims.filter((claim) => claim.type === 'number').map((claim) => claim.text);
+
+test('flags a year the article does not mention', () => {
+  assert.deepEqual(unsupportedNumbers('Back in 2023 the river rose', 'The flood of 2024 was the worst on record.'), ['2023']);
+});
+
+test('accepts a year the article mentions', () => {
+  assert.deepEqual(unsupportedNumbers('Back in 2024 the river rose', 'The flood of 2024 was the worst on record.'), []);
+});
+
+test('flags small counts that are close but not equal', () => {
+  assert.deepEqual(unsupportedNumbers('Forty-one homes, 41 in all', 'Officials said 42 homes were damaged.'), ['41']);
+});
+
+test('accepts rounded large figures and decimals within 5%', () => {
+  const article = 'The fund raised 2,968 pledges and reached 3.24 million viewers, up 4.6%.';
+  assert.deepEqual(unsupportedNumbers('Three thousand strong, 3,000 pledges, 3.2 million watching, 4.5% more', article), []);
+});
+
+test('does not round large figures that are not round', () => {
+  assert.deepEqual(unsupportedNumbers('We counted 2,970 pledges', 'The fund raised 2,968 pledges.'), ['2,970']);
+});
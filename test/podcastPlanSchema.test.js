@@ -0,0 +1,17 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { PODCAST_PLAN_RESPONSE_FORMAT, PODCAST_PLAN_SCHEMA, validateSchema } = require('../api/podcastPlanSchema');
+
+test('sends providers a schema without keywords strict mode rejects', () => {
+  const sent = JSON.stringify(PODCAST_PLAN_RESPONSE_FORMAT.json_schema.schema);
+  assert.doesNotMatch(sent, /minItems|maxItems|minLength/);
+  assert.deepEqual(PODCAST_PLAN_RESPONSE_FORMAT.json_schema.schema.required, ['overview_script', 'selections']);
+});
+
+test('still checks item counts and empty strings locally', () => {
+  assert.deepEqual(validateSchema({ overview_script: ' ', selections: [] }, PODCAST_PLAN_SCHEMA), [
+    '$.overview_script must not be empty',
+    '$.selections must have at least 3 items (got 0)',
+  ]);
+});